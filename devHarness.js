@@ -0,0 +1,444 @@
+// devHarness.js
+// Browser dev mode: open the game with ?dev=1 to replace Telegram.WebApp, AdsGram and the
+// Stars payment backend with local mocks and get a floating debug panel.
+// Optional URL params: devUserId, devUsername, devFirstName, devPremium=1, devVersion (WebApp
+// version, default 8.0), devStartParam. Without ?dev=1 this file does nothing.
+(function () {
+    'use strict';
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('dev') !== '1') return;
+
+    const DEV_BACKEND_URL = '/__dev_backend';
+    const DEV_CLOUD_PREFIX = 'playdeck_dev_cloud_';
+    const DEV_BACKEND_KEY = 'playdeck_dev_backend';
+    const LOG_LIMIT = 200;
+    const PANEL_REFRESH_MS = 1000;
+
+    function log(...args) { try { console.log('devHarness:', ...args); } catch (e) { } }
+
+    // outcomes the panel forces for the next ad / task / invoice
+    const forced = {
+        ad: 'done',          // done / skip / error / nofill
+        payment: 'paid'      // paid / cancelled / failed / pending
+    };
+    const messageLog = [];
+
+    function record(direction, name, payload) {
+        messageLog.push({ at: new Date().toISOString().slice(11, 23), direction: direction, name: name, payload: payload });
+        if (messageLog.length > LOG_LIMIT) messageLog.shift();
+    }
+
+    function readJson(key, fallback) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+    function writeJson(key, value) {
+        try { window.localStorage.setItem(key, JSON.stringify(value)); } catch (e) { }
+    }
+
+    function compareVersions(a, b) {
+        const pa = String(a).split('.').map(Number);
+        const pb = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff) return diff;
+        }
+        return 0;
+    }
+
+    // ===== MOCK TELEGRAM WEBAPP =====
+
+    const user = {
+        id: Number(params.get('devUserId')) || 100000001,
+        first_name: params.get('devFirstName') || 'Dev',
+        last_name: 'Player',
+        username: params.get('devUsername') || 'dev_player',
+        language_code: 'en',
+        is_premium: params.get('devPremium') === '1'
+    };
+    const authDate = Math.floor(Date.now() / 1000);
+    const startParam = params.get('devStartParam');
+    const initDataParams = new URLSearchParams();
+    initDataParams.set('query_id', 'DEV_QUERY');
+    initDataParams.set('user', JSON.stringify(user));
+    initDataParams.set('auth_date', String(authDate));
+    if (startParam) initDataParams.set('start_param', startParam);
+    initDataParams.set('hash', 'dev_unsigned');
+
+    const handlers = {};
+    function emit(eventType, data) {
+        (handlers[eventType] || []).slice().forEach(fn => {
+            try { fn.call(webApp, data); } catch (e) { console.error(e); }
+        });
+    }
+
+    function makeButton(name) {
+        return {
+            isVisible: false,
+            isActive: true,
+            text: name,
+            show() { this.isVisible = true; log(name, 'show'); renderPanel(); return this; },
+            hide() { this.isVisible = false; log(name, 'hide'); renderPanel(); return this; },
+            setText(text) { this.text = text; return this; },
+            setParams(p) {
+                if (p.text !== undefined) this.text = p.text;
+                if (p.is_visible !== undefined) this.isVisible = p.is_visible;
+                if (p.is_active !== undefined) this.isActive = p.is_active;
+                renderPanel();
+                return this;
+            },
+            showProgress() { return this; },
+            hideProgress() { return this; },
+            onClick(fn) { webApp.onEvent(name === 'MainButton' ? 'mainButtonClicked' : 'backButtonClicked', fn); return this; },
+            offClick(fn) { webApp.offEvent(name === 'MainButton' ? 'mainButtonClicked' : 'backButtonClicked', fn); return this; }
+        };
+    }
+
+    // CloudStorage backed by localStorage, with the real per-value size limit
+    const cloudStorage = {
+        setItem(key, value, cb) {
+            if (String(value).length > 4096) return cb && cb('VALUE_TOO_LONG');
+            window.localStorage.setItem(DEV_CLOUD_PREFIX + key, String(value));
+            if (cb) setTimeout(() => cb(null, true), 10);
+        },
+        getItem(key, cb) {
+            const value = window.localStorage.getItem(DEV_CLOUD_PREFIX + key);
+            setTimeout(() => cb(null, value === null ? '' : value), 10);
+        },
+        getItems(keys, cb) {
+            const values = {};
+            keys.forEach(k => {
+                const value = window.localStorage.getItem(DEV_CLOUD_PREFIX + k);
+                values[k] = value === null ? '' : value;
+            });
+            setTimeout(() => cb(null, values), 10);
+        },
+        removeItem(key, cb) {
+            window.localStorage.removeItem(DEV_CLOUD_PREFIX + key);
+            if (cb) setTimeout(() => cb(null, true), 10);
+        },
+        removeItems(keys, cb) {
+            keys.forEach(k => window.localStorage.removeItem(DEV_CLOUD_PREFIX + k));
+            if (cb) setTimeout(() => cb(null, true), 10);
+        },
+        getKeys(cb) {
+            const keys = [];
+            for (let i = 0; i < window.localStorage.length; i++) {
+                const k = window.localStorage.key(i);
+                if (k.indexOf(DEV_CLOUD_PREFIX) === 0) keys.push(k.slice(DEV_CLOUD_PREFIX.length));
+            }
+            setTimeout(() => cb(null, keys), 10);
+        }
+    };
+
+    const webApp = {
+        version: params.get('devVersion') || '8.0',
+        platform: 'dev',
+        initData: initDataParams.toString(),
+        initDataUnsafe: { query_id: 'DEV_QUERY', user: user, auth_date: authDate, start_param: startParam || undefined, hash: 'dev_unsigned' },
+        colorScheme: 'dark',
+        themeParams: { bg_color: '#17212b', text_color: '#f5f5f5', hint_color: '#708499', button_color: '#5288c1', button_text_color: '#ffffff' },
+        isExpanded: true,
+        isFullscreen: false,
+        viewportHeight: window.innerHeight,
+        viewportStableHeight: window.innerHeight,
+        safeAreaInset: { top: 0, bottom: 0, left: 0, right: 0 },
+        contentSafeAreaInset: { top: 0, bottom: 0, left: 0, right: 0 },
+        isClosingConfirmationEnabled: false,
+        BackButton: null,
+        MainButton: null,
+        CloudStorage: cloudStorage,
+        HapticFeedback: {
+            impactOccurred(style) { log('haptic impact', style); return this; },
+            notificationOccurred(type) { log('haptic notification', type); return this; },
+            selectionChanged() { log('haptic selection'); return this; }
+        },
+        isVersionAtLeast(v) { return compareVersions(this.version, v) >= 0; },
+        onEvent(eventType, fn) { (handlers[eventType] = handlers[eventType] || []).push(fn); },
+        offEvent(eventType, fn) { handlers[eventType] = (handlers[eventType] || []).filter(h => h !== fn); },
+        ready() { log('ready'); },
+        expand() { log('expand'); },
+        close() { log('close'); },
+        enableClosingConfirmation() { this.isClosingConfirmationEnabled = true; },
+        disableClosingConfirmation() { this.isClosingConfirmationEnabled = false; },
+        requestFullscreen() { this.isFullscreen = true; emit('fullscreenChanged'); },
+        exitFullscreen() { this.isFullscreen = false; emit('fullscreenChanged'); },
+        lockOrientation() { log('lockOrientation'); },
+        unlockOrientation() { log('unlockOrientation'); },
+        openLink(url) { log('openLink', url); window.open(url, '_blank'); },
+        openTelegramLink(url) { log('openTelegramLink', url); window.open(url, '_blank'); },
+        switchInlineQuery(query, chatTypes) { log('switchInlineQuery', query, chatTypes); },
+        shareToStory(mediaUrl, options) { log('shareToStory', mediaUrl, options); },
+        openInvoice(url, callback) {
+            const invoiceId = String(url).split('$dev_')[1];
+            const status = forced.payment;
+            log('openInvoice', url, '->', status);
+            setTimeout(() => {
+                devBackend.settle(invoiceId, status);
+                if (callback) callback(status);
+                emit('invoiceClosed', { url: url, status: status });
+            }, 300);
+        }
+    };
+    webApp.BackButton = makeButton('BackButton');
+    webApp.MainButton = makeButton('MainButton');
+
+    window.Telegram = Object.assign(window.Telegram || {}, { WebApp: webApp });
+
+    // ===== MOCK ADSGRAM =====
+
+    function adResult(blockId) {
+        switch (forced.ad) {
+            case 'done': return { ok: true, value: { done: true, state: 'destroy', error: false, description: 'Adv is done (dev)' } };
+            case 'skip': return { ok: false, value: { done: false, state: 'destroy', error: false, description: 'Adv was skipped (dev)' } };
+            case 'nofill': return { ok: false, value: { done: false, state: 'load', error: true, description: 'No ad to show (dev)' } };
+            default: return { ok: false, value: { done: false, state: 'playing', error: true, description: `Ad error for block ${blockId} (dev)` } };
+        }
+    }
+
+    window.Adsgram = {
+        init(options) {
+            const blockId = String(options && options.blockId);
+            log('Adsgram.init', blockId);
+            return {
+                show() {
+                    const result = adResult(blockId);
+                    log('Adsgram.show', blockId, '->', forced.ad);
+                    return new Promise((resolve, reject) => setTimeout(() => (result.ok ? resolve : reject)(result.value), 500));
+                },
+                addEventListener() { },
+                removeEventListener() { },
+                destroy() { }
+            };
+        }
+    };
+
+    if (window.customElements && !window.customElements.get('adsgram-task')) {
+        window.customElements.define('adsgram-task', class extends HTMLElement {
+            connectedCallback() {
+                const button = document.createElement('button');
+                button.textContent = `Dev task ${this.getAttribute('data-block-id')} (${forced.ad})`;
+                button.style.cssText = 'padding:12px 24px';
+                button.onclick = () => {
+                    const events = { done: 'reward', nofill: 'onBannerNotFound', error: 'onError' };
+                    const type = events[forced.ad];
+                    if (type) this.dispatchEvent(new CustomEvent(type, { detail: this.getAttribute('data-block-id') }));
+                };
+                this.appendChild(button);
+            }
+        });
+    }
+
+    // ===== LOCAL PAYMENT BACKEND =====
+    // Stand-in for the Stars payment server, implemented in-page so it works offline.
+
+    const devBackend = {
+        state() { return readJson(DEV_BACKEND_KEY, { invoices: {}, purchases: {}, seq: 0 }); },
+        save(state) { writeJson(DEV_BACKEND_KEY, state); },
+
+        settle(invoiceId, status) {
+            const state = this.state();
+            const invoice = state.invoices[invoiceId];
+            if (!invoice || invoice.status !== 'pending') return;
+            if (status === 'paid') {
+                const purchaseId = 'dev_purchase_' + (++state.seq);
+                invoice.status = 'paid';
+                invoice.purchase_id = purchaseId;
+                state.purchases[purchaseId] = { purchase_id: purchaseId, invoice_id: invoiceId, item_id: invoice.item_id, user_id: invoice.user_id, consumed: false };
+            } else if (status !== 'pending') {
+                invoice.status = status;
+            }
+            this.save(state);
+        },
+
+        handle(path, body) {
+            const state = this.state();
+            switch (path) {
+                case '/create-invoice-link': {
+                    const invoiceId = 'dev_invoice_' + (++state.seq);
+                    state.invoices[invoiceId] = { invoice_id: invoiceId, item_id: body.item_id, user_id: body.user_id, amount: body.amount, status: 'pending' };
+                    this.save(state);
+                    return { success: true, invoice_id: invoiceId, invoice_link: 'https://t.me/$dev_' + invoiceId };
+                }
+                case '/verify-payment': {
+                    const invoice = state.invoices[body.invoice_id];
+                    if (!invoice) return { success: false, status: 'failed', error: 'unknown invoice' };
+                    return { success: true, status: invoice.status, purchase_id: invoice.purchase_id || null, item_id: invoice.item_id };
+                }
+                case '/purchases': {
+                    const purchases = Object.values(state.purchases)
+                        .filter(p => p.user_id === body.user_id && (!body.unconsumed || !p.consumed));
+                    return { success: true, purchases: purchases };
+                }
+                case '/consume-purchase': {
+                    const purchase = state.purchases[body.purchase_id];
+                    if (purchase) purchase.consumed = true;
+                    this.save(state);
+                    return { success: true };
+                }
+                default:
+                    return null;
+            }
+        }
+    };
+
+    const realFetch = window.fetch.bind(window);
+    window.fetch = function (input, init) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (url.indexOf(DEV_BACKEND_URL) !== 0) return realFetch(input, init);
+        const path = url.slice(DEV_BACKEND_URL.length);
+        let body = {};
+        try { body = JSON.parse((init && init.body) || '{}'); } catch (e) { }
+        const result = devBackend.handle(path, body);
+        record('backend', path, result);
+        return new Promise(resolve => setTimeout(() => resolve(new Response(
+            JSON.stringify(result || { success: false, error: 'not found' }),
+            { status: result ? 200 : 404, headers: { 'Content-Type': 'application/json' } })), 150));
+    };
+
+    // ===== BRIDGE HOOKS =====
+
+    // wrap PlayDeck_* (Unity -> JS); the bridge replaces some of them later, so re-check periodically
+    function wrapUnityCalls() {
+        Object.keys(window).forEach(name => {
+            if (!/^(PlayDeck_|getTelegramUserFull$)/.test(name)) return;
+            const fn = window[name];
+            if (typeof fn !== 'function' || fn.__devWrapped) return;
+            const wrapped = function (...args) {
+                record('unity->js', name, args);
+                return fn.apply(this, args);
+            };
+            wrapped.__devWrapped = true;
+            window[name] = wrapped;
+        });
+    }
+
+    function hookBridge() {
+        const bridge = window.playDeckBridge;
+        if (!bridge) {
+            log('playDeckBridge not found, bridge hooks skipped');
+            return;
+        }
+        if (bridge.config) {
+            bridge.config.setOverride({ payments: { backendUrl: DEV_BACKEND_URL } });
+        } else if (bridge.stars) {
+            bridge.stars.BACKEND_URL = DEV_BACKEND_URL;
+        }
+
+        // wrap SendMessage (JS -> Unity) once the instance arrives
+        const init = bridge.init;
+        bridge.init = function (unityInstance) {
+            if (unityInstance && typeof unityInstance.SendMessage === 'function' && !unityInstance.__devWrapped) {
+                const send = unityInstance.SendMessage.bind(unityInstance);
+                unityInstance.SendMessage = function (objectName, methodName, message) {
+                    record('js->unity', `${objectName}.${methodName}`, message);
+                    return send(objectName, methodName, message);
+                };
+                unityInstance.__devWrapped = true;
+            }
+            return init.apply(this, arguments);
+        };
+
+        wrapUnityCalls();
+        setInterval(wrapUnityCalls, PANEL_REFRESH_MS);
+    }
+
+    // ===== DEBUG PANEL =====
+
+    let panel = null;
+    let stateView = null;
+    let logView = null;
+
+    function button(label, onClick) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.style.cssText = 'margin:2px;padding:2px 6px;font-size:11px';
+        b.onclick = onClick;
+        return b;
+    }
+
+    function choiceRow(title, key, options) {
+        const row = document.createElement('div');
+        row.appendChild(document.createTextNode(title + ': '));
+        options.forEach(option => {
+            const b = button(option, () => { forced[key] = option; renderPanel(); });
+            b.dataset.forced = key + ':' + option;
+            row.appendChild(b);
+        });
+        return row;
+    }
+
+    function buildPanel() {
+        panel = document.createElement('div');
+        panel.id = 'dev-harness-panel';
+        panel.style.cssText = 'position:fixed;top:8px;right:8px;width:360px;max-height:80%;overflow:auto;z-index:2000;' +
+            'background:rgba(20,20,20,0.92);color:#ddd;font:11px monospace;padding:8px;border-radius:6px';
+
+        const header = document.createElement('div');
+        header.appendChild(document.createTextNode(`DEV MODE - user ${user.id}, WebApp ${webApp.version} `));
+        const body = document.createElement('div');
+        header.appendChild(button('hide', () => {
+            body.style.display = body.style.display === 'none' ? 'block' : 'none';
+        }));
+        panel.appendChild(header);
+
+        body.appendChild(choiceRow('next ad', 'ad', ['done', 'skip', 'error', 'nofill']));
+        body.appendChild(choiceRow('next payment', 'payment', ['paid', 'cancelled', 'failed', 'pending']));
+
+        const events = document.createElement('div');
+        events.appendChild(button('BackButton click', () => emit('backButtonClicked')));
+        events.appendChild(button('MainButton click', () => emit('mainButtonClicked')));
+        events.appendChild(button('toggle theme', () => {
+            webApp.colorScheme = webApp.colorScheme === 'dark' ? 'light' : 'dark';
+            emit('themeChanged');
+        }));
+        events.appendChild(button('clear log', () => { messageLog.length = 0; renderPanel(); }));
+        body.appendChild(events);
+
+        stateView = document.createElement('pre');
+        stateView.style.cssText = 'white-space:pre-wrap;max-height:240px;overflow:auto;border-top:1px solid #444;margin:4px 0;padding-top:4px';
+        logView = document.createElement('pre');
+        logView.style.cssText = 'white-space:pre-wrap;max-height:240px;overflow:auto;border-top:1px solid #444;margin:0;padding-top:4px';
+        body.appendChild(stateView);
+        body.appendChild(logView);
+        panel.appendChild(body);
+        document.body.appendChild(panel);
+    }
+
+    function renderPanel() {
+        if (!panel) return;
+        panel.querySelectorAll('[data-forced]').forEach(b => {
+            const parts = b.dataset.forced.split(':');
+            b.style.fontWeight = forced[parts[0]] === parts[1] ? 'bold' : 'normal';
+            b.style.outline = forced[parts[0]] === parts[1] ? '1px solid #5288c1' : 'none';
+        });
+        try {
+            const bridge = window.playDeckBridge;
+            stateView.textContent = bridge && bridge._internalState
+                ? JSON.stringify(bridge._internalState(), null, 1)
+                : 'playDeckBridge not loaded';
+        } catch (e) {
+            stateView.textContent = '_internalState failed: ' + e.message;
+        }
+        logView.textContent = messageLog.slice().reverse()
+            .map(m => `${m.at} ${m.direction} ${m.name} ${typeof m.payload === 'string' ? m.payload : JSON.stringify(m.payload)}`)
+            .join('\n');
+    }
+
+    window.addEventListener('DOMContentLoaded', () => {
+        hookBridge();
+        buildPanel();
+        renderPanel();
+        setInterval(renderPanel, PANEL_REFRESH_MS);
+    });
+
+    // console access for anything the panel does not cover
+    window.playDeckDev = { forced: forced, log: messageLog, emit: emit, webApp: webApp, backend: devBackend };
+    log('enabled - Telegram.WebApp, Adsgram and the payment backend are mocked');
+})();
@@ -3,38 +3,171 @@
     'use strict';
 
     // --- Configuration ----
-    const DEFAULT_AD_BLOCK_ID = '15960';
-    const ADSGRAM_INIT_OPTS = { blockId: DEFAULT_AD_BLOCK_ID, debug: false, debugConsole: true };
-    const UNITY_SEND_RETRY_MS = 250;
-    const UNITY_SEND_MAX_RETRIES = 30;
+    // Built-in defaults; runtimeConfig layers StreamingAssets/playdeckConfig.json, an optional
+    // remote document and URL overrides on top (see REMOTE CONFIGURATION below)
+    const DEFAULT_CONFIG = {
+        ads: { defaultBlockId: '15960', debug: false, debugConsole: true, cooldownSeconds: 30, initAttempts: 10, initIntervalMs: 700 },
+        payments: { backendUrl: 'https://telegram-server-payment.onrender.com', prices: {} },
+        analytics: { endpoint: '' },
+        sharing: {
+            botUsername: '',
+            appShortName: '',
+            defaultCampaign: 'invite',
+            scoreText: 'I scored {score} in BitBullz Evolution! {result}',
+            storyMediaUrl: '',
+            storyLinkName: 'Play BitBullz'
+        },
+        unity: { sendRetryMs: 250 },
+        features: {},
+        remoteUrl: '',
+        rollouts: []
+    };
+    const CONFIG_URL = 'StreamingAssets/playdeckConfig.json';
+    const CONFIG_CACHE_KEY = 'playdeck_config_cache';
+    const CONFIG_FETCH_TIMEOUT_MS = 5000;
+    const ATTRIBUTION_KEY = 'playdeck_attribution';
+    const STORY_TEXT_MAX = 200;
+    const UNITY_QUEUE_MAX = 500;
+    const PENDING_PURCHASES_KEY = 'playdeck_pending_purchases';
+    const DELIVERED_PURCHASES_KEY = 'playdeck_delivered_purchases';
+    const MAX_DELIVERED_PURCHASES = 500;
+    const PENDING_PURCHASE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+    const PAYMENT_VERIFY_RETRY_MS = 1500;
+    const PAYMENT_VERIFY_MAX_TRIES = 5;
+    const GUEST_IDENTITY_KEY = 'playdeck_guest_identity';
+    const AUTH_DATE_MAX_AGE_S = 24 * 60 * 60;
+    const ANALYTICS_DB_NAME = 'playdeck_analytics';
+    const ANALYTICS_STORE = 'events';
+    const ANALYTICS_EVENT_NAME_RE = /^[A-Za-z][A-Za-z0-9_.]{0,63}$/;
+    const ANALYTICS_MAX_PAYLOAD_BYTES = 4096;
+    const ANALYTICS_MAX_BUFFERED = 2000;           // per buffer: in memory and in IndexedDB
+    const ANALYTICS_MAX_BUFFERED_NO_ENDPOINT = 200; // nowhere to send them, so keep only a few in memory
+    const ANALYTICS_BATCH_SIZE = 25;
+    const ANALYTICS_BATCH_MAX_BYTES = 48 * 1024; // stays under the 64KB sendBeacon / keepalive body limit
+    const ANALYTICS_FLUSH_INTERVAL_MS = 15000;
+    const ANALYTICS_BACKOFF_BASE_MS = 5000;
+    const ANALYTICS_BACKOFF_MAX_MS = 5 * 60 * 1000;
+    const LOADING_MILESTONES = [0, 25, 50, 75, 100];
+    const PLAYDECK_ALLOWED_ORIGINS = ['https://playdeck.io', /^https:\/\/[a-z0-9-]+\.playdeck\.io$/];
+    const PLAYDECK_REQUEST_TIMEOUT_MS = 10000;
+    const PLAYDECK_LOCAL_DATA_PREFIX = 'playdeck_data_';
+    const PLAYDECK_MAX_QUEUED_NOTIFICATIONS = 50;
+    const CLOUD_STORAGE_MIN_VERSION = '6.9';
+    const CLOUD_STORAGE_CHUNK_SIZE = 4000;     // CloudStorage values are limited to 4096 chars
+    const CLOUD_STORAGE_MAX_KEYS = 1024;
+    const CLOUD_STORAGE_TIMEOUT_MS = 10000;
+    const CLOUD_SAVE_MAX_CHUNKS = 64;
+    const CLOUD_SAVE_KEY_RE = /^[A-Za-z0-9_-]{1,64}$/;
+    const CLOUD_SAVE_LOCAL_PREFIX = 'playdeck_save_';
 
     // Small safe console wrappers
     function safeLog(...args) { try { console.log(...args); } catch (e) { } }
     function safeWarn(...args) { try { console.warn(...args); } catch (e) { } }
     function safeError(...args) { try { console.error(...args); } catch (e) { } }
 
-    // Local helper to reliably send messages to Unity
-    function sendToUnity(objectName, methodName, message) {
-        let tries = 0;
-        const trySend = () => {
-            tries++;
+    // localStorage can throw (private mode, storage disabled) - never let it break the bridge
+    function readJson(key, fallback) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            safeWarn('readJson failed for', key, e);
+            return fallback;
+        }
+    }
+    function writeJson(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            safeWarn('writeJson failed for', key, e);
+            return false;
+        }
+    }
+
+    function delay(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+    // ===== UNITY MESSAGE QUEUE =====
+    // Every JS -> Unity message goes through this queue. Messages are buffered until
+    // playDeckBridge.init() hands us the Unity instance, then delivered strictly in order.
+    const unityQueue = {
+        items: [],
+        seq: 0,
+        delivered: 0,
+        dropped: 0,
+        retryTimer: null
+    };
+
+    function getUnityInstance() {
+        const instance = bridge.unityInstance || window.unityInstance;
+        return (instance && typeof instance.SendMessage === 'function') ? instance : null;
+    }
+
+    function dropQueued(item, reason) {
+        unityQueue.dropped++;
+        safeWarn(`sendToUnity: dropped ${item.objectName}.${item.methodName} (${reason})`);
+        item.resolve(false);
+    }
+
+    function flushUnityQueue() {
+        if (unityQueue.retryTimer) {
+            clearTimeout(unityQueue.retryTimer);
+            unityQueue.retryTimer = null;
+        }
+        const instance = getUnityInstance();
+        if (!instance) return;
+
+        while (unityQueue.items.length) {
+            const item = unityQueue.items[0];
+            if (item.expiresAt && Date.now() > item.expiresAt) {
+                unityQueue.items.shift();
+                dropQueued(item, 'expired');
+                continue;
+            }
             try {
-                const instance = (window.playDeckBridge && window.playDeckBridge.unityInstance) ? window.playDeckBridge.unityInstance : window.unityInstance;
-                if (instance && typeof instance.SendMessage === 'function') {
-                    instance.SendMessage(objectName, methodName, message);
-                    safeLog(`sendToUnity: Sent -> ${objectName}.${methodName}("${message}")`);
-                    return true;
-                }
+                instance.SendMessage(item.objectName, item.methodName, item.message);
             } catch (e) {
+                // keep the item at the head so ordering is preserved, and try again shortly
                 safeWarn('sendToUnity: send exception', e);
+                unityQueue.retryTimer = setTimeout(flushUnityQueue, runtimeConfig.get('unity.sendRetryMs'));
+                return;
             }
-            if (tries * UNITY_SEND_RETRY_MS >= UNITY_SEND_MAX_RETRIES * UNITY_SEND_RETRY_MS) {
-                safeWarn(`sendToUnity: giving up after ${tries} tries for ${objectName}.${methodName}`);
-                return false;
+            unityQueue.items.shift();
+            unityQueue.delivered++;
+            safeLog(`sendToUnity: Sent -> ${item.objectName}.${item.methodName}("${item.message}")`);
+            item.resolve(true);
+        }
+    }
+
+    // Queue a message for Unity. Resolves true once delivered, false if it was dropped.
+    // options.ttlMs: drop it if not delivered in time; options.dedupeKey: a newer message
+    // with the same key replaces any older one still waiting in the queue.
+    function sendToUnity(objectName, methodName, message, options) {
+        const opts = options || {};
+        return new Promise((resolve) => {
+            const item = {
+                id: ++unityQueue.seq,
+                objectName: objectName,
+                methodName: methodName,
+                message: message === undefined || message === null ? '' : String(message),
+                dedupeKey: opts.dedupeKey || null,
+                expiresAt: opts.ttlMs > 0 ? Date.now() + opts.ttlMs : 0,
+                resolve: resolve
+            };
+
+            if (item.dedupeKey) {
+                unityQueue.items = unityQueue.items.filter(queued => {
+                    if (queued.dedupeKey !== item.dedupeKey) return true;
+                    dropQueued(queued, 'superseded');
+                    return false;
+                });
             }
-            setTimeout(trySend, UNITY_SEND_RETRY_MS);
-        };
-        trySend();
+            unityQueue.items.push(item);
+            while (unityQueue.items.length > UNITY_QUEUE_MAX) {
+                dropQueued(unityQueue.items.shift(), 'queue full');
+            }
+            flushUnityQueue();
+        });
     }
 
     // Bridge object
@@ -43,126 +176,1016 @@
         init(unity) {
             this.unityInstance = unity;
             safeLog('PlayDeckBridge: unityInstance set');
-        }
+            flushUnityQueue();
+        },
+        send: sendToUnity
     };
 
     // Expose bridge
     window.playDeckBridge = bridge;
 
     // --- IMMEDIATE SAFE STUBS ---
-    window.PlayDeck_SetLoading = function (progress) { safeLog('PlayDeck_SetLoading (stub):', progress); };
-    window.PlayDeck_GameEnd = function () {
-        safeLog('PlayDeck_GameEnd (stub)');
-        try { window.parent.postMessage({ playdeck: { method: 'gameEnd' } }, '*'); } catch (e) { }
+    let loadingMilestone = -1;
+    let lastHostLoading = -1;
+    window.PlayDeck_SetLoading = function (progress) {
+        safeLog('PlayDeck_SetLoading:', progress);
+        const percent = Math.max(0, Math.min(100, Math.round(Number(progress) || 0)));
+        if (percent !== lastHostLoading) {
+            lastHostLoading = percent;
+            playdeckHost.notify('loading', percent);
+        }
+        const reached = LOADING_MILESTONES.filter(m => m <= Number(progress) && m > loadingMilestone);
+        reached.forEach(m => analytics.track('loading_progress', { milestone: m }));
+        if (reached.length) loadingMilestone = reached[reached.length - 1];
+    };
+    // result: optional evolution/outcome text, reused by PlayDeck_ShareScore
+    window.PlayDeck_GameEnd = function (score, result) {
+        safeLog('PlayDeck_GameEnd', score, result);
+        if (score !== undefined && score !== null) sharing.lastScore = score;
+        if (result) sharing.lastResult = String(result);
+        if (score !== undefined && score !== null) playdeckHost.notify('setScore', Number(score) || 0);
+        playdeckHost.notify('gameEnd');
+        analytics.track('game_end', { score: score === undefined ? null : score });
+    };
+    window.PlayDeck_Analytics = function (eventName, payload) {
+        try { return analytics.track(eventName, payload) ? 1 : 0; } catch (e) { safeWarn('PlayDeck_Analytics error', e); return 0; }
     };
-    window.PlayDeck_Analytics = function (eventName, payload) { safeLog('PlayDeck_Analytics (stub):', eventName, payload); };
     window.PlayDeck_AreAdsAvailable = function () { safeLog('PlayDeck_AreAdsAvailable (stub) -> 0'); return 0; };
     window.PlayDeck_PreloadAds = function () { safeLog('PlayDeck_PreloadAds (stub)'); };
-    window.PlayDeck_ShowRewardedAdForBlock = function (blockId) {
-        safeLog('PlayDeck_ShowRewardedAdForBlock (stub) called with blockId:', blockId);
-        try { sendToUnity('AdsManager', 'OnAdCompleted', "false"); } catch (e) { }
+    window.PlayDeck_ShowRewardedAd = function () {
+        safeLog('PlayDeck_ShowRewardedAd called - delegating to block function');
+        try { window.PlayDeck_ShowRewardedAdForBlock(runtimeConfig.get('ads.defaultBlockId')); } catch (e) { safeWarn(e); }
     };
-    window.PlayDeck_ShowTaskForBlock = function (blockId) {
-        safeLog('PlayDeck_ShowTaskForBlock (stub) called with', blockId);
-        try { sendToUnity('AdsManager', 'OnTaskCompleted', "false"); } catch (e) { }
-        return 0;
+
+    // ===== TELEGRAM IDENTITY =====
+    // Single source of truth for "who is playing". The raw signed initData is
+    // forwarded untouched so the backend can verify its HMAC; nothing here is trusted.
+
+    const identity = {
+        // parse the raw initData query string (user is JSON-encoded inside it)
+        parseInitData(initData) {
+            if (!initData || typeof initData !== 'string') return null;
+            try {
+                const params = new URLSearchParams(initData);
+                const userParam = params.get('user');
+                return {
+                    user: userParam ? JSON.parse(userParam) : null,
+                    auth_date: Number(params.get('auth_date')) || null,
+                    start_param: params.get('start_param') || null
+                };
+            } catch (e) {
+                safeWarn('identity: failed to parse initData', e);
+                return null;
+            }
+        },
+
+        // initData from the official WebApp API, or from the launch hash when the SDK is missing
+        readInitData() {
+            const webApp = window.Telegram?.WebApp;
+            if (webApp && webApp.initData) {
+                return { initData: webApp.initData, source: 'webapp' };
+            }
+            if (window.location.hash) {
+                try {
+                    const params = new URLSearchParams(window.location.hash.substring(1));
+                    const tgWebAppData = params.get('tgWebAppData');
+                    if (tgWebAppData) return { initData: tgWebAppData, source: 'hash' };
+                } catch (e) {
+                    safeWarn('identity: failed to parse location hash', e);
+                }
+            }
+            return null;
+        },
+
+        isAuthExpired(authDate) {
+            if (!authDate) return true;
+            return (Date.now() / 1000) - authDate > AUTH_DATE_MAX_AGE_S;
+        },
+
+        // persistent per-browser guest, so progress does not split between launches.
+        // numeric_id is what Unity gets as id: negative, so it can never collide with a Telegram ID
+        getGuest() {
+            let guest = readJson(GUEST_IDENTITY_KEY, null);
+            if (!guest || !guest.id || !Number.isSafeInteger(guest.numeric_id) || guest.numeric_id >= 0) {
+                guest = {
+                    id: guest && guest.id ? guest.id : 'guest_' + randomId(),
+                    numeric_id: randomGuestNumber(),
+                    created_at: guest && guest.created_at ? guest.created_at : Date.now()
+                };
+                if (!writeJson(GUEST_IDENTITY_KEY, guest)) {
+                    safeWarn('identity: guest identity could not be persisted; it will change next launch');
+                }
+            }
+            return guest;
+        },
+
+        resolve() {
+            const raw = this.readInitData();
+            const parsed = raw ? this.parseInitData(raw.initData) : null;
+            if (parsed && parsed.user && parsed.user.id) {
+                const expired = this.isAuthExpired(parsed.auth_date);
+                if (expired) safeWarn('identity: initData auth_date is older than', AUTH_DATE_MAX_AGE_S, 's');
+                return Object.assign({}, parsed.user, {
+                    guest_id: null,
+                    is_guest: false,
+                    source: raw.source,
+                    init_data: raw.initData,
+                    auth_date: parsed.auth_date,
+                    auth_expired: expired
+                });
+            }
+
+            // Unity reads id as a long and keys its services on it, so guests get their own
+            // persistent negative number and carry the string identifier separately
+            const guest = this.getGuest();
+            return {
+                id: guest.numeric_id,
+                guest_id: guest.id,
+                username: 'guest',
+                first_name: 'Guest',
+                last_name: '',
+                is_premium: false,
+                is_guest: true,
+                source: 'guest',
+                init_data: null,
+                auth_date: null,
+                auth_expired: false,
+                guest_created_at: guest.created_at
+            };
+        },
+
+        // Telegram user ID, or null for guests
+        getTelegramUserId() {
+            const user = this.resolve();
+            return user.is_guest ? null : user.id;
+        }
     };
-    window.PlayDeck_ShowRewardedAd = function () {
-        safeLog('PlayDeck_ShowRewardedAd (stub) called - delegating to block function');
-        try { window.PlayDeck_ShowRewardedAdForBlock(DEFAULT_AD_BLOCK_ID); } catch (e) { safeWarn(e); }
+
+    // random integer in [-(2^53 - 1), -1]
+    function randomGuestNumber() {
+        const words = new Uint32Array(2);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(words);
+        } else {
+            words[0] = Math.floor(Math.random() * 0x100000000);
+            words[1] = Math.floor(Math.random() * 0x100000000);
+        }
+        return -(((words[0] & 0x1fffff) * 0x100000000 + words[1]) % Number.MAX_SAFE_INTEGER) - 1;
+    }
+
+    function randomId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+        const bytes = new Uint8Array(16);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ===== REMOTE CONFIGURATION =====
+    // Effective config = DEFAULT_CONFIG <- base (cached copy until StreamingAssets/playdeckConfig.json
+    // and the optional remoteUrl document arrive) <- matching rollouts <- ?cfg.<path>=<value> URL
+    // params <- runtime overrides. Every layer is validated against CONFIG_SCHEMA; invalid fields
+    // are dropped with a warning instead of failing the whole document.
+
+    const CONFIG_SCHEMA = {
+        type: 'object',
+        properties: {
+            version: { type: 'number' },
+            ads: {
+                type: 'object',
+                properties: {
+                    defaultBlockId: { type: 'string', minLength: 1 },
+                    debug: { type: 'boolean' },
+                    debugConsole: { type: 'boolean' },
+                    cooldownSeconds: { type: 'number', min: 0 },
+                    initAttempts: { type: 'number', min: 1, max: 100 },
+                    initIntervalMs: { type: 'number', min: 100 }
+                }
+            },
+            payments: {
+                type: 'object',
+                properties: {
+                    backendUrl: { type: 'string', format: 'url' },
+                    prices: { type: 'map', values: { type: 'number', min: 1 } }
+                }
+            },
+            analytics: {
+                type: 'object',
+                properties: {
+                    endpoint: { type: 'string', format: 'url', allowEmpty: true }
+                }
+            },
+            sharing: {
+                type: 'object',
+                properties: {
+                    botUsername: { type: 'string', allowEmpty: true },
+                    appShortName: { type: 'string', allowEmpty: true },
+                    defaultCampaign: { type: 'string', allowEmpty: true },
+                    scoreText: { type: 'string', minLength: 1 },
+                    storyMediaUrl: { type: 'string', format: 'url', allowEmpty: true },
+                    storyLinkName: { type: 'string', minLength: 1 }
+                }
+            },
+            unity: {
+                type: 'object',
+                properties: {
+                    sendRetryMs: { type: 'number', min: 10 }
+                }
+            },
+            features: { type: 'map', values: { type: 'boolean' } },
+            remoteUrl: { type: 'string', format: 'url', allowEmpty: true },
+            rollouts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'percent', 'overrides'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        percent: { type: 'number', min: 0, max: 100 },
+                        overrides: { type: 'object', ref: 'overrides' }
+                    }
+                }
+            }
+        }
+    };
+
+    // values that decide where requests and invites go or what players are charged;
+    // a shared link must not be able to change them
+    const CONFIG_URL_SENSITIVE_PATHS = [
+        'payments.backendUrl', 'payments.prices', 'analytics.endpoint', 'remoteUrl',
+        'sharing.botUsername', 'sharing.appShortName'
+    ];
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // removes a dotted path from a config object; true when something was there
+    function deleteConfigPath(config, path) {
+        const keys = path.split('.');
+        let node = config;
+        for (let i = 0; i < keys.length - 1; i++) {
+            node = node[keys[i]];
+            if (!isPlainObject(node)) return false;
+        }
+        const last = keys[keys.length - 1];
+        if (!Object.prototype.hasOwnProperty.call(node, last)) return false;
+        delete node[last];
+        return true;
+    }
+
+    // returns a sanitized copy (undefined when the value itself is invalid) and pushes errors
+    function validateConfig(value, schema, path, errors) {
+        const at = path || '(root)';
+        switch (schema.type) {
+            case 'object': {
+                if (!isPlainObject(value)) { errors.push(`${at}: expected object`); return undefined; }
+                if (schema.ref === 'overrides') {
+                    // rollout overrides use the root schema, but cannot nest rollouts or move the remote URL
+                    const overrides = validateConfig(value, CONFIG_SCHEMA, path, errors) || {};
+                    delete overrides.rollouts;
+                    delete overrides.remoteUrl;
+                    return overrides;
+                }
+                const missing = (schema.required || []).filter(key => value[key] === undefined);
+                if (missing.length) { errors.push(`${at}: missing ${missing.join(', ')}`); return undefined; }
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    const child = schema.properties[key];
+                    const childPath = path ? `${path}.${key}` : key;
+                    if (!child) { errors.push(`${childPath}: unknown key`); return; }
+                    const checked = validateConfig(value[key], child, childPath, errors);
+                    if (checked !== undefined) result[key] = checked;
+                });
+                return result;
+            }
+            case 'map': {
+                if (!isPlainObject(value)) { errors.push(`${at}: expected object`); return undefined; }
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    const checked = validateConfig(value[key], schema.values, `${at}.${key}`, errors);
+                    if (checked !== undefined) result[key] = checked;
+                });
+                return result;
+            }
+            case 'array': {
+                if (!Array.isArray(value)) { errors.push(`${at}: expected array`); return undefined; }
+                return value.map((item, i) => validateConfig(item, schema.items, `${at}[${i}]`, errors))
+                    .filter(item => item !== undefined);
+            }
+            case 'string': {
+                if (typeof value !== 'string') { errors.push(`${at}: expected string`); return undefined; }
+                if (value === '' && schema.allowEmpty) return value;
+                if (schema.minLength && value.length < schema.minLength) { errors.push(`${at}: too short`); return undefined; }
+                // a same-origin path must not start with // or /\, which browsers read as another host
+                if (schema.format === 'url' && !/^(https:\/\/|\/(?![\/\\]))/.test(value)) { errors.push(`${at}: expected https:// or / URL`); return undefined; }
+                return value;
+            }
+            case 'number': {
+                if (typeof value !== 'number' || !isFinite(value)) { errors.push(`${at}: expected number`); return undefined; }
+                if (schema.min !== undefined && value < schema.min) { errors.push(`${at}: below ${schema.min}`); return undefined; }
+                if (schema.max !== undefined && value > schema.max) { errors.push(`${at}: above ${schema.max}`); return undefined; }
+                return value;
+            }
+            case 'boolean': {
+                if (typeof value !== 'boolean') { errors.push(`${at}: expected boolean`); return undefined; }
+                return value;
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    function mergeConfig(target, source) {
+        const result = Object.assign({}, target);
+        Object.keys(source || {}).forEach(key => {
+            result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+                ? mergeConfig(result[key], source[key])
+                : source[key];
+        });
+        return result;
+    }
+
+    const runtimeConfig = {
+        current: DEFAULT_CONFIG,
+        activeRollouts: [],
+        layers: { base: null, url: null, runtime: null },
+        source: 'defaults',
+        lastSent: null,
+        loading: null,
+
+        // 'ads.cooldownSeconds' -> value from the effective config
+        get(path) {
+            return path.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), this.current);
+        },
+
+        checked(document, label) {
+            const errors = [];
+            const result = validateConfig(document, CONFIG_SCHEMA, '', errors) || {};
+            if (errors.length) safeWarn(`runtimeConfig: ${label} has invalid entries:`, errors);
+            return result;
+        },
+
+        // synchronous start: cached config + URL params, so the first ad/payment already uses them
+        init() {
+            const cached = readJson(CONFIG_CACHE_KEY, null);
+            if (cached) {
+                this.layers.base = this.checked(cached, 'cached config');
+                this.source = 'cache';
+            }
+            this.layers.url = this.readUrlOverrides();
+            this.recompute();
+        },
+
+        readUrlOverrides() {
+            let params;
+            try { params = new URLSearchParams(window.location.search); } catch (e) { return null; }
+            const devMode = params.get('dev') === '1';
+            let overrides = null;
+            params.forEach((raw, name) => {
+                if (name.indexOf('cfg.') !== 0) return;
+                const path = name.slice(4);
+                let value = raw;
+                try { value = JSON.parse(raw); } catch (e) { }
+                const keys = path.split('.');
+                overrides = overrides || {};
+                let node = overrides;
+                keys.slice(0, -1).forEach(key => { node = node[key] = isPlainObject(node[key]) ? node[key] : {}; });
+                node[keys[keys.length - 1]] = value;
+            });
+            if (!overrides) return null;
+            const checked = this.checked(overrides, 'URL overrides');
+            // stripped after validation so cfg.payments={...} or cfg.analytics={...} cannot smuggle them in either
+            if (!devMode) CONFIG_URL_SENSITIVE_PATHS.forEach(path => {
+                if (deleteConfigPath(checked, path)) safeWarn('runtimeConfig: URL override of', path, 'needs dev=1, ignored');
+            });
+            return checked;
+        },
+
+        async fetchJson(url) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = setTimeout(() => controller && controller.abort(), CONFIG_FETCH_TIMEOUT_MS);
+            try {
+                const response = await fetch(url, { cache: 'no-cache', signal: controller ? controller.signal : undefined });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return await response.json();
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+
+        // StreamingAssets document, then the remote override it points at; cached for offline starts
+        load() {
+            if (this.loading) return this.loading;
+            this.loading = (async () => {
+                let base;
+                try {
+                    base = this.checked(await this.fetchJson(CONFIG_URL), CONFIG_URL);
+                    this.source = 'streaming';
+                } catch (e) {
+                    safeWarn('runtimeConfig: could not load', CONFIG_URL, '- keeping', this.source, e);
+                    return this.current;
+                }
+                const remoteUrl = mergeConfig(base, this.layers.url || {}).remoteUrl;
+                if (remoteUrl) {
+                    try {
+                        const remote = this.checked(await this.fetchJson(remoteUrl), 'remote config');
+                        delete remote.remoteUrl;
+                        base = mergeConfig(base, remote);
+                        this.source = 'remote';
+                    } catch (e) {
+                        safeWarn('runtimeConfig: remote config failed, using StreamingAssets copy', e);
+                    }
+                }
+                this.layers.base = base;
+                writeJson(CONFIG_CACHE_KEY, base);
+                this.recompute();
+                return this.current;
+            })().finally(() => { this.loading = null; });
+            return this.loading;
+        },
+
+        // highest-priority layer, for the dev harness and tests
+        setOverride(partial) {
+            this.layers.runtime = mergeConfig(this.layers.runtime || {}, this.checked(partial, 'runtime override'));
+            this.recompute();
+        },
+
+        // stable 0-99 bucket per rollout and player; guests bucket on their persistent guest ID
+        bucketFor(rolloutId) {
+            const user = identity.resolve();
+            return parseInt(checksum(`${rolloutId}:${user.is_guest ? user.guest_id : user.id}`), 16) % 100;
+        },
+
+        recompute() {
+            let config = mergeConfig(DEFAULT_CONFIG, this.layers.base || {});
+            const active = [];
+            (config.rollouts || []).forEach(rollout => {
+                if (this.bucketFor(rollout.id) < rollout.percent) {
+                    config = mergeConfig(config, rollout.overrides);
+                    active.push(rollout.id);
+                }
+            });
+            config = mergeConfig(config, this.layers.url || {});
+            config = mergeConfig(config, this.layers.runtime || {});
+            this.current = config;
+            this.activeRollouts = active;
+            if (this.onChange) this.onChange(config);
+        },
+
+        // what Unity sees: no rollout definitions, only which ones this player is in
+        snapshot() {
+            const config = Object.assign({}, this.current);
+            delete config.rollouts;
+            delete config.remoteUrl;
+            return { config: config, rollouts: this.activeRollouts, source: this.source };
+        }
+    };
+
+    runtimeConfig.init();
+
+    // ===== ANALYTICS =====
+    // Events are written to IndexedDB first (survives offline play and tab kills) and
+    // shipped to the endpoint in batches. Delivery is at-least-once; the backend
+    // de-duplicates on event_id.
+
+    const analytics = {
+        endpoint: runtimeConfig.get('analytics.endpoint'),
+        productVersion: null,
+        sessionId: randomId(),
+        seq: 0,
+        db: null,
+        dbFailed: false,
+        memory: [],          // events not yet confirmed by the endpoint (also the fallback store)
+        flushing: false,
+        batchLimit: ANALYTICS_BATCH_SIZE, // shrinks while a rejected batch is split to find the bad event
+        failures: 0,
+        nextFlushAt: 0,
+        flushTimer: null,
+        invalid: 0,
+        rejected: 0,
+        sent: 0,
+
+        configure(options) {
+            const opts = options || {};
+            if (typeof opts.endpoint === 'string') {
+                // events tracked while there was no endpoint only lived in memory
+                if (opts.endpoint && !this.endpoint) this.memory.forEach(event => this.persist(event));
+                this.endpoint = opts.endpoint;
+            }
+            if (opts.productVersion) this.productVersion = String(opts.productVersion);
+            this.scheduleFlush(0);
+        },
+
+        openDb() {
+            if (this.db) return Promise.resolve(this.db);
+            if (!window.indexedDB) this.dbFailed = true;
+            if (this.dbFailed) return Promise.resolve(null);
+            return new Promise((resolve) => {
+                try {
+                    const request = window.indexedDB.open(ANALYTICS_DB_NAME, 1);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(ANALYTICS_STORE, { keyPath: 'event_id' });
+                        // event_id is random, so age order needs its own index
+                        store.createIndex('client_ts', 'client_ts');
+                    };
+                    request.onsuccess = () => { this.db = request.result; resolve(this.db); };
+                    request.onerror = () => {
+                        safeWarn('analytics: IndexedDB unavailable, keeping events in memory', request.error);
+                        this.dbFailed = true;
+                        resolve(null);
+                    };
+                } catch (e) {
+                    this.dbFailed = true;
+                    resolve(null);
+                }
+            });
+        },
+
+        // run fn(store) in a transaction; resolves with fn's request result, or null on failure
+        withStore(mode, fn) {
+            return this.openDb().then(db => new Promise((resolve) => {
+                if (!db) return resolve(null);
+                try {
+                    const tx = db.transaction(ANALYTICS_STORE, mode);
+                    const request = fn(tx.objectStore(ANALYTICS_STORE));
+                    tx.oncomplete = () => resolve(request ? request.result : true);
+                    tx.onerror = tx.onabort = () => resolve(null);
+                } catch (e) {
+                    safeWarn('analytics: IndexedDB transaction failed', e);
+                    resolve(null);
+                }
+            }));
+        },
+
+        validate(eventName, payload) {
+            if (typeof eventName !== 'string' || !ANALYTICS_EVENT_NAME_RE.test(eventName)) {
+                return { error: 'invalid event name' };
+            }
+            let data = payload;
+            if (typeof payload === 'string') {
+                if (!payload) {
+                    data = {};
+                } else {
+                    try { data = JSON.parse(payload); } catch (e) { data = { value: payload }; }
+                }
+            }
+            if (data === null || data === undefined) data = {};
+            if (typeof data !== 'object') data = { value: data };
+            const encoded = JSON.stringify(data);
+            const bytes = utf8Length(encoded);
+            if (bytes > ANALYTICS_MAX_PAYLOAD_BYTES) {
+                return { error: `payload too large (${bytes} bytes)` };
+            }
+            return { data: data };
+        },
+
+        track(eventName, payload) {
+            const checked = this.validate(eventName, payload);
+            if (checked.error) {
+                this.invalid++;
+                safeWarn('analytics: rejected event', eventName, '-', checked.error);
+                return false;
+            }
+            const event = {
+                event_id: randomId(),
+                name: eventName,
+                payload: checked.data,
+                session_id: this.sessionId,
+                seq: ++this.seq,
+                user_id: identity.getTelegramUserId(),
+                guest_id: identity.resolve().guest_id,
+                platform: window.Telegram?.WebApp?.platform || 'web',
+                product_version: this.productVersion,
+                client_ts: Date.now()
+            };
+            this.memory.push(event);
+            const limit = this.endpoint ? ANALYTICS_MAX_BUFFERED : ANALYTICS_MAX_BUFFERED_NO_ENDPOINT;
+            if (this.memory.length > limit) this.memory.splice(0, this.memory.length - limit);
+            if (!this.endpoint) return true;
+            this.persist(event);
+            this.scheduleFlush(this.memory.length >= ANALYTICS_BATCH_SIZE ? 0 : ANALYTICS_FLUSH_INTERVAL_MS);
+            return true;
+        },
+
+        // write-through to IndexedDB; every batch-worth of events the store is trimmed back to
+        // ANALYTICS_MAX_BUFFERED so a long offline stretch cannot fill the origin's quota
+        persist(event) {
+            this.withStore('readwrite', store => store.put(event));
+            if (event.seq % ANALYTICS_BATCH_SIZE === 0) this.trimStore();
+        },
+
+        trimStore() {
+            return this.withStore('readwrite', store => {
+                const count = store.count();
+                count.onsuccess = () => {
+                    let excess = count.result - ANALYTICS_MAX_BUFFERED;
+                    if (excess <= 0) return;
+                    store.index('client_ts').openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor || excess-- <= 0) return;
+                        cursor.delete();
+                        cursor.continue();
+                    };
+                };
+                return null;
+            });
+        },
+
+        scheduleFlush(ms) {
+            const at = Math.max(Date.now() + ms, this.nextFlushAt);
+            if (this.flushTimer) {
+                if (this.flushTimer.at <= at) return;
+                clearTimeout(this.flushTimer.id);
+            }
+            this.flushTimer = { at: at, id: setTimeout(() => { this.flushTimer = null; this.flush(); }, at - Date.now()) };
+        },
+
+        // events from IndexedDB (covers earlier sessions) merged with this session's memory buffer
+        async loadBatch() {
+            const stored = await this.withStore('readonly', store => store.index('client_ts').getAll(null, ANALYTICS_BATCH_SIZE)) || [];
+            const byId = {};
+            stored.concat(this.memory).forEach(e => { byId[e.event_id] = e; });
+            return Object.values(byId)
+                .map(e => (e.session_id === this.sessionId && !e.product_version)
+                    ? Object.assign({}, e, { product_version: this.productVersion }) : e)
+                .sort((a, b) => a.client_ts - b.client_ts || a.seq - b.seq)
+                .slice(0, this.batchLimit)
+                .filter(fitsBatch());
+        },
+
+        async remove(eventIds) {
+            const ids = {};
+            eventIds.forEach(id => { ids[id] = true; });
+            this.memory = this.memory.filter(e => !ids[e.event_id]);
+            await this.withStore('readwrite', store => { eventIds.forEach(id => store.delete(id)); return null; });
+        },
+
+        async flush() {
+            if (this.flushing || !this.endpoint) return;
+            if (navigator.onLine === false) return;
+            this.flushing = true;
+            try {
+                const batch = await this.loadBatch();
+                if (!batch.length) return;
+                // no keepalive here: the page is alive, and keepalive bodies are capped at 64KB
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ sent_at: Date.now(), events: batch })
+                });
+                if (isPayloadRejection(response.status)) {
+                    // retrying the same oldest events would stall the queue forever: split the batch
+                    // until the offending event is alone, then drop it. Every step still backs off,
+                    // so an endpoint that rejects everything drains slowly instead of in a burst.
+                    if (batch.length > 1) {
+                        this.batchLimit = Math.ceil(batch.length / 2);
+                    } else {
+                        safeWarn('analytics: endpoint rejected event', batch[0].name, batch[0].event_id, 'with', response.status, '- dropped');
+                        await this.remove([batch[0].event_id]);
+                        this.rejected++;
+                        this.batchLimit = ANALYTICS_BATCH_SIZE;
+                    }
+                    this.backOff(`endpoint rejected a batch of ${batch.length} with ${response.status}`);
+                    return;
+                }
+                if (!response.ok) throw new Error(`Analytics endpoint error: ${response.status}`);
+                await this.remove(batch.map(e => e.event_id));
+                this.sent += batch.length;
+                this.failures = 0;
+                this.nextFlushAt = 0;
+                // batches are capped by count and bytes, so keep going until the buffer is drained
+                this.scheduleFlush(0);
+            } catch (e) {
+                this.backOff(e);
+            } finally {
+                this.flushing = false;
+            }
+        },
+
+        backOff(reason) {
+            this.failures++;
+            const backoff = Math.min(ANALYTICS_BACKOFF_BASE_MS * Math.pow(2, this.failures - 1), ANALYTICS_BACKOFF_MAX_MS);
+            this.nextFlushAt = Date.now() + backoff;
+            safeWarn('analytics: flush failed, retrying in', backoff, 'ms', reason);
+            this.scheduleFlush(backoff);
+        },
+
+        // last-chance delivery when the page is hidden or unloaded; IndexedDB keeps a copy
+        // so anything the beacon loses is retried next launch
+        beaconFlush() {
+            if (!this.endpoint || !this.memory.length || !navigator.sendBeacon) return;
+            try {
+                const events = this.memory.slice(-ANALYTICS_BATCH_SIZE).reverse().filter(fitsBatch()).reverse();
+                const body = JSON.stringify({ sent_at: Date.now(), beacon: true, events: events });
+                if (!navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+                    safeWarn('analytics: sendBeacon refused', events.length, 'event(s); they are retried next launch');
+                }
+            } catch (e) {
+                safeWarn('analytics: sendBeacon failed', e);
+            }
+        },
+
+        state() {
+            return {
+                endpoint: this.endpoint,
+                sessionId: this.sessionId,
+                buffered: this.memory.length,
+                sent: this.sent,
+                invalid: this.invalid,
+                rejected: this.rejected,
+                failures: this.failures,
+                storage: this.db ? 'indexeddb' : (this.dbFailed ? 'memory' : 'pending')
+            };
+        }
     };
 
+    // request bodies are UTF-8, so limits are measured in encoded bytes, not string length
+    const utf8Encoder = typeof TextEncoder === 'function' ? new TextEncoder() : null;
+    function utf8Length(text) {
+        return utf8Encoder ? utf8Encoder.encode(text).length : new Blob([text]).size;
+    }
+
+    // filter predicate keeping events while the batch stays under ANALYTICS_BATCH_MAX_BYTES;
+    // the first event always passes, a single one is at most ANALYTICS_MAX_PAYLOAD_BYTES + metadata
+    function fitsBatch() {
+        let bytes = 0;
+        return (event, i) => {
+            bytes += utf8Length(JSON.stringify(event)) + 1;
+            return i === 0 || bytes <= ANALYTICS_BATCH_MAX_BYTES;
+        };
+    }
+
+    // statuses that blame the payload itself; 401/403/404 and friends are endpoint or auth
+    // problems that no amount of splitting fixes, so they take the normal backoff path
+    function isPayloadRejection(status) {
+        return status === 400 || status === 413 || status === 422;
+    }
+
+    try {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') analytics.beaconFlush();
+        });
+        window.addEventListener('pagehide', () => analytics.beaconFlush());
+        window.addEventListener('online', () => analytics.scheduleFlush(0));
+    } catch (e) {
+        safeWarn('analytics: could not attach page lifecycle listeners', e);
+    }
+
     // ===== TELEGRAM STARS INTEGRATION =====
 
     const starsIntegration = {
-        BACKEND_URL: 'https://telegram-server-payment.onrender.com',
+        BACKEND_URL: runtimeConfig.get('payments.backendUrl'),
 
         // check if telegram stars are available
         isAvailable() {
-            return !!(window.Telegram && window.Telegram.WebApp);
+            return !!(window.Telegram && window.Telegram.WebApp && typeof window.Telegram.WebApp.openInvoice === 'function');
         },
 
         // Get telegram user ID
         getUserId() {
-            const user = window.Telegram?.WebApp?.initDataUnsafe?.user;
-            return user ? user.id : null;
+            return identity.getTelegramUserId();
+        },
+
+        // --- persisted purchase state ---
+        // pending: invoices that were opened but not yet confirmed, keyed by invoice_id
+        // delivered: purchase IDs already granted to Unity, so nothing is granted twice
+        getPending() { return readJson(PENDING_PURCHASES_KEY, {}); },
+        savePending(pending) { writeJson(PENDING_PURCHASES_KEY, pending); },
+        addPending(entry) {
+            const pending = this.getPending();
+            pending[entry.invoice_id] = entry;
+            this.savePending(pending);
+        },
+        removePending(invoiceId) {
+            const pending = this.getPending();
+            delete pending[invoiceId];
+            this.savePending(pending);
+        },
+        isDelivered(purchaseId) { return readJson(DELIVERED_PURCHASES_KEY, []).indexOf(String(purchaseId)) !== -1; },
+        markDelivered(purchaseId) {
+            const delivered = readJson(DELIVERED_PURCHASES_KEY, []);
+            delivered.push(String(purchaseId));
+            writeJson(DELIVERED_PURCHASES_KEY, delivered.slice(-MAX_DELIVERED_PURCHASES));
+        },
+
+        async postBackend(path, body) {
+            const response = await fetch(`${this.BACKEND_URL}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(`Backend error: ${response.status}`);
+            }
+            return response.json();
         },
 
-        // main purchase function
-        async purchaseItem(itemId, starsCost, itemName, itemDescription) {
+        // main purchase function; pricing ({ stars, requested_stars, price_overridden }) is echoed
+        // in OnPurchaseStatus and kept with the pending entry for reconciliation
+        async purchaseItem(itemId, starsCost, itemName, itemDescription, pricing) {
             safeLog('Telegram Stars: purchaseItem called for', itemId, 'cost:', starsCost);
 
             if (!this.isAvailable()) {
                 const error = 'Telegram WebApp not available';
                 safeWarn('Telegram Stars:', error);
-                return { success: false, error: error };
+                return { success: false, status: 'failed', item_id: itemId, error: error };
             }
 
             const userId = this.getUserId();
             if (!userId) {
-                return { success: false, error: 'User not identified'}
+                return { success: false, status: 'failed', item_id: itemId, error: 'User not identified' };
             }
 
             try {
-                safeLog('Creating invoice via backend');
+                const invoice = await this.createInvoiceLink(userId, itemId, starsCost, itemName, itemDescription);
+                if (!invoice.success) {
+                    return { success: false, status: 'failed', item_id: itemId, error: invoice.error };
+                }
 
-                // call backend to create telegram invoice
-                const result = await this.createInvoiceViaBackend(userId, itemId, starsCost, itemName, itemDescription);
-                return result;
+                // persist before opening so a reload mid-payment can be reconciled
+                this.addPending({ invoice_id: invoice.invoice_id, item_id: itemId, user_id: userId, pricing: pricing || null, created_at: Date.now() });
+
+                const status = await this.openInvoice(invoice.invoice_link);
+                safeLog('Telegram Stars: invoice', invoice.invoice_id, 'closed with status', status);
+                notifyPurchaseStatus(itemId, invoice.invoice_id, status, pricing);
+
+                if (status === 'cancelled' || status === 'failed') {
+                    this.removePending(invoice.invoice_id);
+                    return { success: false, status: status, item_id: itemId, invoice_id: invoice.invoice_id, error: `Payment ${status}` };
+                }
+                if (status === 'pending') {
+                    // leave it pending; reconcilePendingPurchases picks it up on the next launch
+                    return { success: false, status: 'pending', item_id: itemId, invoice_id: invoice.invoice_id };
+                }
+
+                return await this.confirmPayment(userId, invoice.invoice_id, itemId);
             } catch (error) {
-                safeError('Telegram Stars: Purchase error', error)
-                return {success: false, error: error.message};
+                safeError('Telegram Stars: Purchase error', error);
+                return { success: false, status: 'failed', item_id: itemId, error: error.message };
             }
         },
 
-        // create invoice by calling our backend
-        async createInvoiceViaBackend(userId, itemId, starsCost, itemName, itemDescription) {
+        // ask the backend for an invoice link that can be opened in-app
+        async createInvoiceLink(userId, itemId, starsCost, itemName, itemDescription) {
             try {
-                safeLog('Calling backend to create invoice...');
-
-                const response = await fetch(`${this.BACKEND_URL}/create-invoice`, {                    method: 'POST',
-                    headers:{
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        user_id: userId,
-                        item_id: itemId,
-                        amount: starsCost,
-                        title: itemName,
-                        description: itemDescription
-                    })
+                safeLog('Calling backend to create invoice link...');
+                const result = await this.postBackend('/create-invoice-link', {
+                    user_id: userId,
+                    init_data: identity.resolve().init_data,
+                    item_id: itemId,
+                    amount: starsCost,
+                    title: itemName,
+                    description: itemDescription
                 });
-
-                if (!response.ok) {
-                    throw new Error(`Backend error: ${response.status}`);
-                }
-
-                const result = await response.json();
                 safeLog('Backend response:', result);
 
-                if (result.success) {
-                    // invoice was sent to user by telegram
-                    // now we wait for payment
-                    return {
-                        success: true,
-                        message: 'Invoice sent! Check your Telegram chat with the bot.',
-                        item_id: itemId,
-                        invoice_id: result.invoice_id
-                    };
-                } else {
-                    return {
-                        success: false,
-                        error: result.error || 'Failed to create invoice'
-                    };
+                if (result.success && result.invoice_link && result.invoice_id) {
+                    return { success: true, invoice_link: result.invoice_link, invoice_id: result.invoice_id };
                 }
+                return { success: false, error: result.error || 'Failed to create invoice' };
             } catch (error) {
                 safeError('Backend call failed:', error);
-                return {
-                    success: false,
-                    error: 'Could not connect to payment server' + error.message
+                return { success: false, error: 'Could not connect to payment server: ' + error.message };
+            }
+        },
+
+        // resolves with the invoiceClosed status: paid / cancelled / failed / pending
+        openInvoice(invoiceLink) {
+            return new Promise((resolve) => {
+                const webApp = window.Telegram.WebApp;
+                let settled = false;
+                const onClosed = (event) => {
+                    if (event && event.url && event.url !== invoiceLink && !invoiceLink.endsWith(event.url)) return;
+                    settle(event && event.status);
                 };
+                const settle = (status) => {
+                    if (settled) return;
+                    settled = true;
+                    try { webApp.offEvent('invoiceClosed', onClosed); } catch (e) { }
+                    resolve(status || 'failed');
+                };
+                try { webApp.onEvent('invoiceClosed', onClosed); } catch (e) { }
+                try {
+                    webApp.openInvoice(invoiceLink, settle);
+                } catch (e) {
+                    safeError('Telegram Stars: openInvoice failed', e);
+                    settle('failed');
+                }
+            });
+        },
+
+        // the client-side "paid" status is not proof of payment; the backend has the final word
+        async confirmPayment(userId, invoiceId, itemId) {
+            let lastError = null;
+            for (let attempt = 0; attempt < PAYMENT_VERIFY_MAX_TRIES; attempt++) {
+                if (attempt > 0) await delay(PAYMENT_VERIFY_RETRY_MS * attempt);
+                try {
+                    const result = await this.postBackend('/verify-payment', { user_id: userId, invoice_id: invoiceId });
+                    if (result.status === 'paid' && result.purchase_id) {
+                        this.removePending(invoiceId);
+                        // not granted yet: reportResult() does that once Unity has the message
+                        return { success: true, status: 'paid', item_id: result.item_id || itemId, invoice_id: invoiceId, purchase_id: result.purchase_id };
+                    }
+                    if (result.status === 'failed' || result.status === 'cancelled') {
+                        this.removePending(invoiceId);
+                        return { success: false, status: result.status, item_id: itemId, invoice_id: invoiceId, error: result.error || 'Payment not completed' };
+                    }
+                    lastError = result.error || null;
+                } catch (e) {
+                    lastError = e.message;
+                    safeWarn('Telegram Stars: verify-payment attempt', attempt + 1, 'failed', e);
+                }
+            }
+            // still unconfirmed: keep it pending for the next launch
+            return { success: false, status: 'pending', item_id: itemId, invoice_id: invoiceId, error: lastError || 'Payment not confirmed yet' };
+        },
+
+        // consuming is idempotent on the backend, so it is retried even for already granted items
+        consume(purchaseId) {
+            this.postBackend('/consume-purchase', { user_id: this.getUserId(), purchase_id: purchaseId })
+                .catch(e => safeWarn('Telegram Stars: consume-purchase failed', purchaseId, e));
+        },
+
+        // Sends a purchase result to Unity. A paid purchase only counts as delivered (and is
+        // consumed on the backend) once Unity actually received it; if the message is dropped
+        // the purchase stays unconsumed and restorePurchases() offers it again.
+        async reportResult(result) {
+            if (result.status !== 'paid' || !result.purchase_id) {
+                return sendToUnity('TelegramStarsManager', 'OnPurchaseResult', JSON.stringify(result));
+            }
+            // a purchase ID is only ever granted once on this device
+            result.granted = !this.isDelivered(result.purchase_id);
+            if (!result.granted) safeLog('Telegram Stars: purchase already delivered', result.purchase_id);
+            const received = await sendToUnity('TelegramStarsManager', 'OnPurchaseResult', JSON.stringify(result));
+            if (!received) {
+                safeWarn('Telegram Stars: Unity did not receive purchase', result.purchase_id, '- left unconsumed for restore');
+                return false;
+            }
+            if (result.granted) this.markDelivered(result.purchase_id);
+            this.consume(result.purchase_id);
+            return true;
+        },
+
+        // re-check invoices left pending by a reload or crash
+        async reconcilePendingPurchases() {
+            const pending = this.getPending();
+            const userId = this.getUserId();
+            const entries = Object.values(pending).filter(p => !userId || p.user_id === userId);
+            if (!entries.length || !userId) return [];
+
+            safeLog('Telegram Stars: reconciling', entries.length, 'pending purchase(s)');
+            const results = [];
+            for (const entry of entries) {
+                if (Date.now() - entry.created_at > PENDING_PURCHASE_TTL_MS) {
+                    this.removePending(entry.invoice_id);
+                    continue;
+                }
+                const result = await this.confirmPayment(userId, entry.invoice_id, entry.item_id);
+                if (result.status !== 'pending') await this.reportResult(Object.assign(result, entry.pricing));
+                results.push(result);
+            }
+            return results;
+        },
+
+        // re-deliver entitlements the backend still has as unconsumed; like reportResult(),
+        // nothing is marked delivered or consumed until Unity received OnPurchasesRestored
+        async restorePurchases() {
+            const userId = this.getUserId();
+            if (!userId) {
+                return this.reportRestored({ success: false, error: 'User not identified', purchases: [] });
             }
-        } 
+            await this.reconcilePendingPurchases();
+            const result = await this.postBackend('/purchases', { user_id: userId, unconsumed: true });
+            if (!result.success) {
+                return this.reportRestored({ success: false, error: result.error || 'Failed to fetch purchases', purchases: [] });
+            }
+            const purchases = (result.purchases || []).map(p => ({ item_id: p.item_id, invoice_id: p.invoice_id, purchase_id: p.purchase_id }));
+            const fresh = purchases.filter(p => !this.isDelivered(p.purchase_id));
+            fresh.forEach(p => { p.granted = true; });
+            const restored = { success: true, purchases: fresh };
+            const received = await sendToUnity('TelegramStarsManager', 'OnPurchasesRestored', JSON.stringify(restored));
+            if (received) fresh.forEach(p => this.markDelivered(p.purchase_id));
+            // already delivered ones were granted earlier, so they can be consumed either way
+            purchases.filter(p => received || fresh.indexOf(p) === -1).forEach(p => this.consume(p.purchase_id));
+            return restored;
+        },
+
+        async reportRestored(result) {
+            await sendToUnity('TelegramStarsManager', 'OnPurchasesRestored', JSON.stringify(result));
+            return result;
+        }
+    };
+
+    function notifyPurchaseStatus(itemId, invoiceId, status, pricing) {
+        analytics.track('purchase_invoice_closed', { item_id: itemId, invoice_id: invoiceId, status: status });
+        const payload = Object.assign({ item_id: itemId, invoice_id: invoiceId, status: status }, pricing);
+        sendToUnity('TelegramStarsManager', 'OnPurchaseStatus', JSON.stringify(payload));
     }
 
     // ===== SINGLE FUNCTION EXPOSURE =====
@@ -170,40 +1193,69 @@
     window.PlayDeck_BuyItemWithStars = function (itemId, starsCost, itemName, itemDescription) {
         safeLog('PlayDeck_BuyItemWithStars called with:', itemId, starsCost, itemName);
 
-        // Handle the purchase and send result to Unity
-        starsIntegration.purchaseItem(itemId, starsCost, itemName, itemDescription)
-            .then(result => {
+        // a configured price (possibly from a price rollout) wins over the one compiled into the game;
+        // the charged price goes back to Unity in every status/result so the UI can show what was paid
+        // (shops should read payments.prices via PlayDeck_GetConfig to display it up front)
+        const configuredPrice = runtimeConfig.get('payments.prices')[itemId];
+        const pricing = {
+            stars: configuredPrice || starsCost,
+            requested_stars: starsCost,
+            price_overridden: !!configuredPrice && configuredPrice !== starsCost
+        };
+        if (pricing.price_overridden) {
+            safeLog('PlayDeck_BuyItemWithStars: using configured price', configuredPrice, 'instead of', starsCost);
+        }
+
+        analytics.track('purchase_started', { item_id: itemId, stars: pricing.stars, requested_stars: starsCost });
+
+        // Handle the purchase and send result to Unity
+        starsIntegration.purchaseItem(itemId, pricing.stars, itemName, itemDescription, pricing)
+            .then(result => {
+                Object.assign(result, pricing);
+                analytics.track('purchase_result', { item_id: itemId, status: result.status, success: !!result.success, error: result.error || null });
                 // Send result back to Unity
-                const resultJson = JSON.stringify(result);
-                safeLog('Sending purchase result to Unity:', resultJson);
-                sendToUnity('TelegramStarsManager', 'OnPurchaseResult', resultJson);
+                safeLog('Sending purchase result to Unity:', JSON.stringify(result));
+                return starsIntegration.reportResult(result);
             })
             .catch(error => {
                 // Send error to Unity
-                const errorResult = JSON.stringify({
+                const errorResult = JSON.stringify(Object.assign({
                     success: false,
+                    status: 'failed',
                     error: error.message,
-                    item: itemId
-                });
+                    item_id: itemId
+                }, pricing));
                 safeError('Purchase failed:', error);
                 sendToUnity('TelegramStarsManager', 'OnPurchaseResult', errorResult);
             });
     };
 
-    // ===== ADSGRAM INTEGRATION (KEEPING ORIGINAL) =====
+    window.PlayDeck_RestorePurchases = function () {
+        safeLog('PlayDeck_RestorePurchases called');
+        starsIntegration.restorePurchases()
+            .catch(error => {
+                safeError('Restore purchases failed:', error);
+                sendToUnity('TelegramStarsManager', 'OnPurchasesRestored', JSON.stringify({ success: false, error: error.message, purchases: [] }));
+            });
+    };
+
+    // ===== ADSGRAM INTEGRATION =====
     let adsState = {
-        methodType: null,
-        controller: null,
-        methodName: null,
+        sdk: null,
+        globalName: null,
         ready: false,
-        globalName: null
+        controllers: {},
+        busy: false,
+        activeBlockId: null,
+        lastShownAt: 0,
+        cooldownMs: runtimeConfig.get('ads.cooldownSeconds') * 1000
     };
 
     function detectAdsGram() {
         const G = window;
         const candidateNames = ['AdsGram', 'Adsgram', 'AdsGramSDK', 'AdsgramSDK', 'sad', 'Ads', 'adsgram'];
         for (const name of candidateNames) {
-            if (G[name]) {
+            if (G[name] && typeof G[name].init === 'function') {
                 safeLog('playdeckBridge: detected AdsGram global as', name);
                 adsState.globalName = name;
                 return G[name];
@@ -221,15 +1273,182 @@
         const globalAds = detectAdsGram();
         if (!globalAds) return false;
 
-        // ... rest of AdsGram initialization (unchanged)
+        adsState.sdk = globalAds;
+        try {
+            // warm up the default block so the first show() does not pay the init cost
+            getAdController(runtimeConfig.get('ads.defaultBlockId'));
+            adsState.ready = true;
+            safeLog('playdeckBridge: AdsGram ready via', adsState.globalName);
+        } catch (e) {
+            safeWarn('playdeckBridge: AdsGram init failed', e);
+            adsState.ready = false;
+        }
+        return adsState.ready;
+    }
+
+    // One controller per block ID; AdsGram keeps its own state per controller
+    function getAdController(blockId) {
+        const id = String(blockId || runtimeConfig.get('ads.defaultBlockId'));
+        if (adsState.controllers[id]) return adsState.controllers[id];
+        if (!adsState.sdk) throw new Error('AdsGram SDK not detected');
+
+        const controller = adsState.sdk.init({
+            blockId: id,
+            debug: runtimeConfig.get('ads.debug'),
+            debugConsole: runtimeConfig.get('ads.debugConsole')
+        });
+        if (!controller || typeof controller.show !== 'function') {
+            throw new Error('AdsGram init returned no controller for block ' + id);
+        }
+        adsState.controllers[id] = controller;
+        safeLog('playdeckBridge: created AdsGram controller for block', id);
+        return controller;
+    }
+
+    // Map an AdsGram ShowPromiseResult to one of: completed / skipped / no_fill / error
+    function classifyAdResult(result) {
+        if (!result || typeof result !== 'object') return 'error';
+        if (result.done) return 'completed';
+        const description = String(result.description || '').toLowerCase();
+        if (/no ?(ad|banner)|not ?found|nofill|no_fill/.test(description)) return 'no_fill';
+        if (result.error) return 'error';
+        return 'skipped';
+    }
+
+    function buildAdPayload(kind, blockId, outcome, result) {
+        return {
+            kind: kind,
+            blockId: String(blockId),
+            outcome: outcome,
+            done: outcome === 'completed',
+            state: (result && result.state) || null,
+            description: (result && (result.description || result.message)) || null,
+            timestamp: Date.now()
+        };
+    }
+
+    const AD_CALLBACKS = {
+        rewarded: { completed: 'OnAdCompleted', skipped: 'OnAdSkipped', no_fill: 'OnAdNoFill', error: 'OnAdError' },
+        task: { completed: 'OnTaskCompleted', skipped: 'OnTaskSkipped', no_fill: 'OnTaskNoFill', error: 'OnTaskError' }
+    };
+
+    function reportAdOutcome(payload) {
+        analytics.track(`${payload.kind === 'task' ? 'task' : 'ad'}_${payload.outcome}`,
+            { block_id: payload.blockId, state: payload.state, description: payload.description });
+        const method = AD_CALLBACKS[payload.kind][payload.outcome] || AD_CALLBACKS[payload.kind].error;
+        sendToUnity('AdsManager', method, JSON.stringify(payload));
+        return payload;
+    }
+
+    // Returns a reason string when an ad request must be refused, otherwise null
+    function checkAdGate(kind) {
+        if (!adsState.ready && !initializeAdsGramIfPossible()) return 'unavailable';
+        if (adsState.busy) return 'busy';
+        if (kind === 'rewarded' && adsState.lastShownAt &&
+            Date.now() - adsState.lastShownAt < adsState.cooldownMs) return 'cooldown';
+        return null;
+    }
+
+    async function showRewardedAd(blockId) {
+        const id = String(blockId || runtimeConfig.get('ads.defaultBlockId'));
+        const refusal = checkAdGate('rewarded');
+        if (refusal) {
+            safeWarn('playdeckBridge: rewarded ad refused for block', id, '-', refusal);
+            return reportAdOutcome(buildAdPayload('rewarded', id, refusal === 'unavailable' ? 'no_fill' : 'error', { description: refusal }));
+        }
+
+        adsState.busy = true;
+        adsState.activeBlockId = id;
+        let outcome, result;
+        try {
+            result = await getAdController(id).show();
+            outcome = classifyAdResult(result);
+        } catch (rejection) {
+            // AdsGram rejects show() for skips and errors with the same result shape
+            result = rejection;
+            outcome = classifyAdResult(rejection);
+        } finally {
+            adsState.busy = false;
+            adsState.activeBlockId = null;
+        }
+        if (outcome === 'completed' || outcome === 'skipped') adsState.lastShownAt = Date.now();
+        safeLog('playdeckBridge: rewarded ad for block', id, '->', outcome);
+        return reportAdOutcome(buildAdPayload('rewarded', id, outcome, result));
+    }
+
+    // AdsGram tasks are rendered by the <adsgram-task> web component in an overlay
+    function showTask(blockId) {
+        const id = String(blockId);
+        const refusal = checkAdGate('task');
+        if (refusal) {
+            safeWarn('playdeckBridge: task refused for block', id, '-', refusal);
+            return Promise.resolve(reportAdOutcome(buildAdPayload('task', id, refusal === 'unavailable' ? 'no_fill' : 'error', { description: refusal })));
+        }
+        if (!window.customElements || !window.customElements.get('adsgram-task')) {
+            return Promise.resolve(reportAdOutcome(buildAdPayload('task', id, 'error', { description: 'adsgram-task element not registered' })));
+        }
+
+        adsState.busy = true;
+        adsState.activeBlockId = id;
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = 'position:fixed;inset:0;z-index:1000;display:flex;flex-direction:column;' +
+                'align-items:center;justify-content:center;background:rgba(0,0,0,0.8)';
+            const task = document.createElement('adsgram-task');
+            task.setAttribute('data-block-id', id);
+            if (runtimeConfig.get('ads.debug')) task.setAttribute('data-debug', 'true');
+            const close = document.createElement('button');
+            close.textContent = 'Close';
+            close.style.cssText = 'margin-top:16px;padding:8px 24px';
+
+            let rewarded = false;
+            const finish = (outcome, detail) => {
+                if (!overlay.parentNode) return;
+                overlay.parentNode.removeChild(overlay);
+                adsState.busy = false;
+                adsState.activeBlockId = null;
+                safeLog('playdeckBridge: task for block', id, '->', outcome);
+                resolve(reportAdOutcome(buildAdPayload('task', id, outcome, detail)));
+            };
+
+            task.addEventListener('reward', () => { rewarded = true; finish('completed', { description: 'reward' }); });
+            task.addEventListener('onBannerNotFound', () => finish('no_fill', { description: 'banner not found' }));
+            task.addEventListener('onError', (e) => finish('error', { description: (e && e.detail) || 'task error' }));
+            task.addEventListener('onTooLongSession', () => finish('error', { description: 'too long session' }));
+            close.addEventListener('click', () => finish(rewarded ? 'completed' : 'skipped', { description: 'closed' }));
+
+            overlay.appendChild(task);
+            overlay.appendChild(close);
+            document.body.appendChild(overlay);
+        });
     }
 
+    // showRewardedAd()/showTask() initialize AdsGram on demand, so these two need no stub phase;
+    // they are defined once and behave the same before and after the init timer finishes
+    window.PlayDeck_ShowRewardedAdForBlock = function (blockId) {
+        safeLog('PlayDeck_ShowRewardedAdForBlock called with blockId:', blockId);
+        showRewardedAd(blockId).catch(e => safeError('PlayDeck_ShowRewardedAdForBlock failed', e));
+    };
+
+    window.PlayDeck_ShowTaskForBlock = function (blockId) {
+        safeLog('PlayDeck_ShowTaskForBlock called with', blockId);
+        if (!blockId) {
+            safeWarn('PlayDeck_ShowTaskForBlock: blockId is required');
+            return 0;
+        }
+        const started = !adsState.busy && (adsState.ready || initializeAdsGramIfPossible());
+        showTask(blockId).catch(e => safeError('PlayDeck_ShowTaskForBlock failed', e));
+        return started ? 1 : 0;
+    };
+
     // Replace ad stubs with real implementations when AdsGram is ready
     function exposeRealAdFunctions() {
         window.PlayDeck_AreAdsAvailable = function () {
             try {
-                const available = (adsState && adsState.ready) ? 1 : 0;
-                safeLog('PlayDeck_AreAdsAvailable ->', available);
+                // same gate showRewardedAd() applies, so a 1 here is never refused for cooldown
+                const refusal = checkAdGate('rewarded');
+                const available = refusal ? 0 : 1;
+                safeLog('PlayDeck_AreAdsAvailable ->', available, refusal || '');
                 return Number(available);
             } catch (e) {
                 safeWarn('PlayDeck_AreAdsAvailable error', e);
@@ -242,41 +1461,1083 @@
             if (!adsState.ready) initializeAdsGramIfPossible();
         };
 
-        // ... rest of ad function implementations (unchanged)
+        window.PlayDeck_SetAdCooldown = function (seconds) {
+            const ms = Number(seconds) * 1000;
+            if (!isFinite(ms) || ms < 0) {
+                safeWarn('PlayDeck_SetAdCooldown: invalid value', seconds);
+                return;
+            }
+            adsState.cooldownMs = ms;
+            safeLog('PlayDeck_SetAdCooldown ->', ms, 'ms');
+        };
     }
 
-    // AdsGram initialization attempts
+    // AdsGram initialization attempts; the limits are read on every tick because
+    // StreamingAssets/playdeckConfig.json usually arrives after the first one
     let initAttempts = 0;
-    const maxInitAttempts = 10;
-    const initTimer = setInterval(() => {
+    function initTick() {
         initAttempts++;
         if (!adsState.ready) initializeAdsGramIfPossible();
-        if (adsState.ready || initAttempts >= maxInitAttempts) {
-            clearInterval(initTimer);
+        if (adsState.ready || initAttempts >= runtimeConfig.get('ads.initAttempts')) {
             exposeRealAdFunctions();
             if (!adsState.ready) {
                 safeWarn('playdeckBridge: AdsGram not detected after attempts; using fallback functions.');
             }
+            return;
+        }
+        setTimeout(initTick, runtimeConfig.get('ads.initIntervalMs'));
+    }
+    setTimeout(initTick, runtimeConfig.get('ads.initIntervalMs'));
+
+    // ===== CLOUD SAVE =====
+    // Saves live in Telegram CloudStorage as a manifest key plus value chunks, so they follow
+    // the player across devices. A local copy is always written first; it is what we fall back
+    // to offline or outside Telegram, and what gets reconciled against the cloud on load.
+    //
+    //   cm_<key>            manifest { v, ts, sum, n, len }
+    //   cs_<key>_<v>_<i>    chunk i of version v (old versions are removed after a save)
+
+    function telegramSupports(minVersion) {
+        const webApp = window.Telegram?.WebApp;
+        if (!webApp) return false;
+        try {
+            return typeof webApp.isVersionAtLeast === 'function' ? webApp.isVersionAtLeast(minVersion) : false;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // FNV-1a, enough to detect truncated or mixed-up chunks
+    function checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    const cloudSave = {
+        locks: {},
+        conflicts: {},
+
+        isCloudAvailable() {
+            const storage = window.Telegram?.WebApp?.CloudStorage;
+            return !!storage && typeof storage.setItem === 'function' && telegramSupports(CLOUD_STORAGE_MIN_VERSION);
+        },
+
+        // promisified CloudStorage call; the callback is (error, result)
+        cloud(method, ...args) {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`CloudStorage.${method} timed out`)), CLOUD_STORAGE_TIMEOUT_MS);
+                try {
+                    window.Telegram.WebApp.CloudStorage[method](...args, (error, result) => {
+                        clearTimeout(timer);
+                        if (error) reject(new Error(`CloudStorage.${method}: ${error}`));
+                        else resolve(result);
+                    });
+                } catch (e) {
+                    clearTimeout(timer);
+                    reject(e);
+                }
+            });
+        },
+
+        // run operations on the same key one after another
+        withLock(key, fn) {
+            const previous = this.locks[key] || Promise.resolve();
+            const next = previous.catch(() => { }).then(fn);
+            this.locks[key] = next;
+            return next;
+        },
+
+        readLocal(key) { return readJson(CLOUD_SAVE_LOCAL_PREFIX + key, null); },
+        writeLocal(key, record) { return writeJson(CLOUD_SAVE_LOCAL_PREFIX + key, record); },
+
+        async readCloud(key) {
+            const raw = await this.cloud('getItem', 'cm_' + key);
+            if (!raw) return null;
+            const manifest = JSON.parse(raw);
+            const chunkKeys = [];
+            for (let i = 0; i < manifest.n; i++) chunkKeys.push(`cs_${key}_${manifest.v}_${i}`);
+            const values = chunkKeys.length ? await this.cloud('getItems', chunkKeys) : {};
+            const data = chunkKeys.map(k => values[k] || '').join('');
+            if (data.length !== manifest.len || checksum(data) !== manifest.sum) {
+                throw new Error(`cloud save "${key}" v${manifest.v} failed checksum`);
+            }
+            return { v: manifest.v, ts: manifest.ts, sum: manifest.sum, data: data };
+        },
+
+        async writeCloud(key, record) {
+            const chunks = [];
+            for (let i = 0; i < record.data.length; i += CLOUD_STORAGE_CHUNK_SIZE) {
+                chunks.push(record.data.slice(i, i + CLOUD_STORAGE_CHUNK_SIZE));
+            }
+            if (!chunks.length) chunks.push('');
+            if (chunks.length > CLOUD_SAVE_MAX_CHUNKS) {
+                throw new Error(`save "${key}" is too large (${record.data.length} chars)`);
+            }
+
+            const existingKeys = await this.cloud('getKeys');
+            const chunkPrefix = `cs_${key}_`;
+            const previousChunks = existingKeys.filter(k => k.indexOf(chunkPrefix) === 0 && /^\d+_\d+$/.test(k.slice(chunkPrefix.length)));
+            const hasManifest = existingKeys.indexOf('cm_' + key) !== -1;
+            if (existingKeys.length + chunks.length + (hasManifest ? 0 : 1) > CLOUD_STORAGE_MAX_KEYS) {
+                throw new Error('CloudStorage key limit reached');
+            }
+
+            // chunks first, manifest last: a crash in between leaves the previous version intact
+            for (let i = 0; i < chunks.length; i++) {
+                await this.cloud('setItem', `cs_${key}_${record.v}_${i}`, chunks[i]);
+            }
+            await this.cloud('setItem', 'cm_' + key, JSON.stringify({
+                v: record.v, ts: record.ts, sum: record.sum, n: chunks.length, len: record.data.length
+            }));
+
+            const stale = previousChunks.filter(k => k.indexOf(`cs_${key}_${record.v}_`) !== 0);
+            if (stale.length) {
+                this.cloud('removeItems', stale).catch(e => safeWarn('cloudSave: failed to remove stale chunks', e));
+            }
+        },
+
+        save(key, json) {
+            return this.withLock(key, async () => {
+                const data = json === undefined || json === null ? '' : String(json);
+                const local = this.readLocal(key);
+                const base = local ? local.base : 0;
+                const record = {
+                    v: Math.max(local ? local.v : 0, base) + 1,
+                    ts: Date.now(),
+                    sum: checksum(data),
+                    data: data,
+                    base: base,
+                    synced: false
+                };
+                const storedLocally = this.writeLocal(key, record);
+
+                if (!this.isCloudAvailable()) {
+                    return { key: key, ok: storedLocally, version: record.v, storage: 'local', error: storedLocally ? null : 'local storage unavailable' };
+                }
+                try {
+                    const cloud = await this.readCloud(key).catch(() => null);
+                    if (cloud && cloud.v > base && cloud.sum !== record.sum) {
+                        // another device saved since we last synced; keep ours locally and let load() resolve it
+                        return { key: key, ok: storedLocally, version: record.v, storage: 'local', error: 'conflict' };
+                    }
+                    if (cloud && cloud.v >= record.v) record.v = cloud.v + 1;
+                    await this.writeCloud(key, record);
+                    record.base = record.v;
+                    record.synced = true;
+                    this.writeLocal(key, record);
+                    return { key: key, ok: true, version: record.v, storage: 'cloud', error: null };
+                } catch (e) {
+                    safeWarn('cloudSave: cloud write failed, kept local copy', key, e);
+                    return { key: key, ok: storedLocally, version: record.v, storage: 'local', error: e.message };
+                }
+            });
+        },
+
+        load(key) {
+            return this.withLock(key, async () => {
+                const local = this.readLocal(key);
+                let cloud = null;
+                if (this.isCloudAvailable()) {
+                    try {
+                        cloud = await this.readCloud(key);
+                    } catch (e) {
+                        safeWarn('cloudSave: cloud read failed, using local copy', key, e);
+                    }
+                }
+
+                if (!local && !cloud) return this.result(key, null, 'none');
+                if (!cloud) return this.result(key, local, 'local');
+                if (!local || local.sum === cloud.sum || (local.synced && cloud.v >= local.v)) {
+                    this.writeLocal(key, Object.assign({}, cloud, { base: cloud.v, synced: true }));
+                    return this.result(key, cloud, 'cloud');
+                }
+                if (!local.synced && cloud.v > local.base) {
+                    // both sides changed since the last sync: Unity decides
+                    this.conflicts[key] = { local: local, cloud: cloud };
+                    sendToUnity('CloudSaveManager', 'OnSaveConflict', JSON.stringify({
+                        key: key,
+                        local: { version: local.v, timestamp: local.ts, data: local.data },
+                        cloud: { version: cloud.v, timestamp: cloud.ts, data: cloud.data }
+                    }));
+                    return null;
+                }
+                // local is ahead of the cloud (offline saves): push it up
+                await this.pushLocal(key, local, cloud.v);
+                return this.result(key, local, 'local');
+            });
+        },
+
+        // choice: 'local', 'cloud', or a JSON string to store as the merged result
+        resolveConflict(key, choice) {
+            const conflict = this.conflicts[key];
+            if (!conflict) return Promise.resolve(null);
+            delete this.conflicts[key];
+            return this.withLock(key, async () => {
+                let winner;
+                if (choice === 'cloud') {
+                    winner = conflict.cloud;
+                    this.writeLocal(key, Object.assign({}, winner, { base: winner.v, synced: true }));
+                    return this.result(key, winner, 'cloud');
+                }
+                const data = choice === 'local' ? conflict.local.data : String(choice);
+                winner = { v: conflict.cloud.v + 1, ts: Date.now(), sum: checksum(data), data: data };
+                await this.pushLocal(key, winner, conflict.cloud.v);
+                return this.result(key, winner, choice === 'local' ? 'local' : 'merged');
+            });
+        },
+
+        async pushLocal(key, record, cloudVersion) {
+            const pushed = Object.assign({}, record, { v: Math.max(record.v, cloudVersion + 1) });
+            this.writeLocal(key, Object.assign({}, pushed, { base: cloudVersion, synced: false }));
+            if (!this.isCloudAvailable()) return;
+            try {
+                await this.writeCloud(key, pushed);
+                this.writeLocal(key, Object.assign({}, pushed, { base: pushed.v, synced: true }));
+            } catch (e) {
+                safeWarn('cloudSave: push of local copy failed', key, e);
+            }
+        },
+
+        result(key, record, source) {
+            return {
+                key: key,
+                ok: !!record,
+                data: record ? record.data : null,
+                version: record ? record.v : 0,
+                timestamp: record ? record.ts : null,
+                source: source,
+                error: null
+            };
+        }
+    };
+
+    window.PlayDeck_SaveData = function (key, json) {
+        safeLog('PlayDeck_SaveData:', key);
+        if (!CLOUD_SAVE_KEY_RE.test(String(key))) {
+            sendToUnity('CloudSaveManager', 'OnSaveResult', JSON.stringify({ key: key, ok: false, version: 0, storage: 'none', error: 'invalid key' }));
+            return 0;
+        }
+        cloudSave.save(key, json)
+            .then(result => sendToUnity('CloudSaveManager', 'OnSaveResult', JSON.stringify(result)))
+            .catch(e => {
+                safeError('PlayDeck_SaveData failed', e);
+                sendToUnity('CloudSaveManager', 'OnSaveResult', JSON.stringify({ key: key, ok: false, version: 0, storage: 'none', error: e.message }));
+            });
+        return 1;
+    };
+
+    window.PlayDeck_LoadData = function (key) {
+        safeLog('PlayDeck_LoadData:', key);
+        if (!CLOUD_SAVE_KEY_RE.test(String(key))) {
+            sendToUnity('CloudSaveManager', 'OnLoadResult', JSON.stringify({ key: key, ok: false, data: null, version: 0, source: 'none', error: 'invalid key' }));
+            return 0;
+        }
+        cloudSave.load(key)
+            .then(result => { if (result) sendToUnity('CloudSaveManager', 'OnLoadResult', JSON.stringify(result)); })
+            .catch(e => {
+                safeError('PlayDeck_LoadData failed', e);
+                sendToUnity('CloudSaveManager', 'OnLoadResult', JSON.stringify({ key: key, ok: false, data: null, version: 0, source: 'none', error: e.message }));
+            });
+        return 1;
+    };
+
+    window.PlayDeck_ResolveSaveConflict = function (key, choice) {
+        safeLog('PlayDeck_ResolveSaveConflict:', key, choice === 'local' || choice === 'cloud' ? choice : 'merged');
+        cloudSave.resolveConflict(key, choice)
+            .then(result => { if (result) sendToUnity('CloudSaveManager', 'OnLoadResult', JSON.stringify(result)); })
+            .catch(e => safeError('PlayDeck_ResolveSaveConflict failed', e));
+    };
+
+    // ===== TELEGRAM NATIVE UI =====
+    // Thin wrappers over Telegram.WebApp UI features. Every call is checked against
+    // WebApp.version first; unsupported features return 0 and report to Unity instead of throwing.
+
+    const TELEGRAM_FEATURE_VERSIONS = {
+        haptics: '6.1',
+        backButton: '6.1',
+        mainButton: '6.0',
+        closingConfirmation: '6.2',
+        theme: '6.0',
+        viewport: '6.0',
+        safeArea: '8.0',
+        fullscreen: '8.0',
+        orientationLock: '8.0',
+        inlineQuery: '6.7',
+        shareToStory: '7.8'
+    };
+    const HAPTIC_IMPACT_STYLES = ['light', 'medium', 'heavy', 'rigid', 'soft'];
+    const HAPTIC_NOTIFICATION_TYPES = ['error', 'success', 'warning'];
+
+    const telegramUI = {
+        listening: false,
+
+        isSupported(feature) {
+            const minVersion = TELEGRAM_FEATURE_VERSIONS[feature];
+            return !!minVersion && telegramSupports(minVersion);
+        },
+
+        // run fn(webApp) if the feature is supported; 1 on success, 0 otherwise
+        run(feature, fn) {
+            const webApp = window.Telegram?.WebApp;
+            if (!webApp || !this.isSupported(feature)) {
+                this.report(feature, 'unsupported', webApp ? `requires WebApp ${TELEGRAM_FEATURE_VERSIONS[feature]}, client is ${webApp.version}` : 'Telegram WebApp not available');
+                return 0;
+            }
+            try {
+                fn(webApp);
+                return 1;
+            } catch (e) {
+                safeWarn('telegramUI:', feature, 'failed', e);
+                this.report(feature, 'error', e.message);
+                return 0;
+            }
+        },
+
+        report(feature, status, reason) {
+            safeLog('telegramUI:', feature, status, reason || '');
+            sendToUnity('TelegramUIManager', 'OnFeatureStatus', JSON.stringify({ feature: feature, status: status, reason: reason || null }));
+        },
+
+        themePayload(webApp) {
+            return { colorScheme: webApp.colorScheme || null, themeParams: webApp.themeParams || {} };
+        },
+
+        viewportPayload(webApp) {
+            return {
+                height: webApp.viewportHeight,
+                stableHeight: webApp.viewportStableHeight,
+                isExpanded: !!webApp.isExpanded,
+                isFullscreen: !!webApp.isFullscreen
+            };
+        },
+
+        safeAreaPayload(webApp) {
+            return {
+                safeArea: webApp.safeAreaInset || { top: 0, bottom: 0, left: 0, right: 0 },
+                contentSafeArea: webApp.contentSafeAreaInset || { top: 0, bottom: 0, left: 0, right: 0 }
+            };
+        },
+
+        // WebApp events -> Unity. Only the latest theme/viewport/safe-area state matters.
+        listen() {
+            const webApp = window.Telegram?.WebApp;
+            if (this.listening || !webApp || typeof webApp.onEvent !== 'function') return;
+            this.listening = true;
+
+            const forward = (method, payload, dedupeKey) =>
+                sendToUnity('TelegramUIManager', method, JSON.stringify(payload), dedupeKey ? { dedupeKey: dedupeKey } : undefined);
+
+            webApp.onEvent('themeChanged', () => forward('OnThemeChanged', this.themePayload(webApp), 'ui:theme'));
+            webApp.onEvent('viewportChanged', (event) => forward('OnViewportChanged',
+                Object.assign(this.viewportPayload(webApp), { isStateStable: !!(event && event.isStateStable) }), 'ui:viewport'));
+            webApp.onEvent('backButtonClicked', () => forward('OnBackButtonClicked', {}));
+            webApp.onEvent('mainButtonClicked', () => forward('OnMainButtonClicked', {}));
+            if (this.isSupported('safeArea')) {
+                const onSafeArea = () => forward('OnSafeAreaChanged', this.safeAreaPayload(webApp), 'ui:safeArea');
+                webApp.onEvent('safeAreaChanged', onSafeArea);
+                webApp.onEvent('contentSafeAreaChanged', onSafeArea);
+            }
+            if (this.isSupported('fullscreen')) {
+                webApp.onEvent('fullscreenChanged', () => forward('OnFullscreenChanged', { isFullscreen: !!webApp.isFullscreen, error: null }, 'ui:fullscreen'));
+                webApp.onEvent('fullscreenFailed', (event) => forward('OnFullscreenChanged', { isFullscreen: !!webApp.isFullscreen, error: (event && event.error) || 'failed' }, 'ui:fullscreen'));
+            }
+        },
+
+        // current state, pushed once Unity is up so it does not have to ask
+        pushInitialState() {
+            const webApp = window.Telegram?.WebApp;
+            if (!webApp) return;
+            sendToUnity('TelegramUIManager', 'OnThemeChanged', JSON.stringify(this.themePayload(webApp)), { dedupeKey: 'ui:theme' });
+            sendToUnity('TelegramUIManager', 'OnViewportChanged', JSON.stringify(Object.assign(this.viewportPayload(webApp), { isStateStable: true })), { dedupeKey: 'ui:viewport' });
+            if (this.isSupported('safeArea')) {
+                sendToUnity('TelegramUIManager', 'OnSafeAreaChanged', JSON.stringify(this.safeAreaPayload(webApp)), { dedupeKey: 'ui:safeArea' });
+            }
+        }
+    };
+
+    telegramUI.listen();
+
+    window.PlayDeck_IsTelegramFeatureSupported = function (feature) {
+        return telegramUI.isSupported(feature) ? 1 : 0;
+    };
+
+    window.PlayDeck_HapticImpact = function (style) {
+        const impact = HAPTIC_IMPACT_STYLES.indexOf(style) !== -1 ? style : 'medium';
+        return telegramUI.run('haptics', webApp => webApp.HapticFeedback.impactOccurred(impact));
+    };
+
+    window.PlayDeck_HapticNotification = function (type) {
+        const notification = HAPTIC_NOTIFICATION_TYPES.indexOf(type) !== -1 ? type : 'success';
+        return telegramUI.run('haptics', webApp => webApp.HapticFeedback.notificationOccurred(notification));
+    };
+
+    window.PlayDeck_HapticSelection = function () {
+        return telegramUI.run('haptics', webApp => webApp.HapticFeedback.selectionChanged());
+    };
+
+    window.PlayDeck_SetBackButtonVisible = function (visible) {
+        return telegramUI.run('backButton', webApp => {
+            if (visible) webApp.BackButton.show();
+            else webApp.BackButton.hide();
+        });
+    };
+
+    // json: { text, color, textColor, visible, active, progress }
+    window.PlayDeck_SetMainButton = function (json) {
+        let options;
+        try {
+            options = typeof json === 'string' ? JSON.parse(json || '{}') : (json || {});
+        } catch (e) {
+            safeWarn('PlayDeck_SetMainButton: invalid JSON', e);
+            return 0;
+        }
+        return telegramUI.run('mainButton', webApp => {
+            const button = webApp.MainButton;
+            const params = {};
+            if (options.text !== undefined) params.text = String(options.text);
+            if (options.color) params.color = options.color;
+            if (options.textColor) params.text_color = options.textColor;
+            if (options.active !== undefined) params.is_active = !!options.active;
+            if (options.visible !== undefined) params.is_visible = !!options.visible;
+            button.setParams(params);
+            if (options.progress === true) button.showProgress(false);
+            else if (options.progress === false) button.hideProgress();
+        });
+    };
+
+    window.PlayDeck_SetClosingConfirmation = function (enabled) {
+        return telegramUI.run('closingConfirmation', webApp => {
+            if (enabled) webApp.enableClosingConfirmation();
+            else webApp.disableClosingConfirmation();
+        });
+    };
+
+    window.PlayDeck_GetThemeParams = function () {
+        return telegramUI.run('theme', webApp => {
+            sendToUnity('TelegramUIManager', 'OnThemeChanged', JSON.stringify(telegramUI.themePayload(webApp)), { dedupeKey: 'ui:theme' });
+        });
+    };
+
+    window.PlayDeck_RequestFullscreen = function () {
+        return telegramUI.run('fullscreen', webApp => webApp.requestFullscreen());
+    };
+
+    window.PlayDeck_ExitFullscreen = function () {
+        return telegramUI.run('fullscreen', webApp => webApp.exitFullscreen());
+    };
+
+    window.PlayDeck_LockOrientation = function (locked) {
+        return telegramUI.run('orientationLock', webApp => {
+            if (locked) webApp.lockOrientation();
+            else webApp.unlockOrientation();
+        });
+    };
+
+    // ===== REFERRALS AND SHARING =====
+    // start_param format (Telegram allows [A-Za-z0-9_-], max 64 chars): "__"-separated
+    // "<key>-<value>" segments, e.g. "r-123456789__c-summer24__s-shop".
+    //   r = referrer Telegram user ID, c = campaign, s = target screen
+    // The older "ref_<id>" / "ref<id>" form is still read as a referrer.
+
+    const START_PARAM_KEYS = { r: 'referrerId', c: 'campaign', s: 'screen' };
+    const START_PARAM_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+    const sharing = {
+        launch: null,          // resolved launch params, once known
+        launchPromise: null,
+        lastScore: null,
+        lastResult: null,
+
+        readStartParam() {
+            const webApp = window.Telegram?.WebApp;
+            if (webApp && webApp.initDataUnsafe && webApp.initDataUnsafe.start_param) {
+                return webApp.initDataUnsafe.start_param;
+            }
+            const raw = identity.readInitData();
+            const parsed = raw ? identity.parseInitData(raw.initData) : null;
+            if (parsed && parsed.start_param) return parsed.start_param;
+            try {
+                const fromSearch = new URLSearchParams(window.location.search).get('tgWebAppStartParam');
+                if (fromSearch) return fromSearch;
+                return new URLSearchParams(window.location.hash.substring(1)).get('tgWebAppStartParam');
+            } catch (e) {
+                return null;
+            }
+        },
+
+        parseStartParam(raw) {
+            const payload = { raw: raw || null, referrerId: null, campaign: null, screen: null, extra: {} };
+            if (!raw) return payload;
+            if (!START_PARAM_RE.test(raw)) {
+                safeWarn('sharing: ignoring malformed start_param', raw);
+                return payload;
+            }
+            const legacy = /^ref_?(\d+)$/.exec(raw);
+            if (legacy) {
+                payload.referrerId = legacy[1];
+                return payload;
+            }
+            raw.split('__').forEach(segment => {
+                const dash = segment.indexOf('-');
+                if (dash <= 0) return;
+                const key = segment.slice(0, dash);
+                const value = segment.slice(dash + 1);
+                if (START_PARAM_KEYS[key]) payload[START_PARAM_KEYS[key]] = value;
+                else payload.extra[key] = value;
+            });
+            if (payload.referrerId && !/^\d+$/.test(payload.referrerId)) payload.referrerId = null;
+            return payload;
+        },
+
+        // segments are added in priority order (referrer, campaign, screen); one that would push
+        // the parameter past 64 chars is left out whole, since a cut segment would parse as garbage
+        buildStartParam(fields) {
+            let param = '';
+            Object.keys(START_PARAM_KEYS).forEach(key => {
+                const value = fields[START_PARAM_KEYS[key]];
+                if (value === undefined || value === null || value === '') return;
+                const segment = `${key}-${String(value).replace(/[^A-Za-z0-9-]/g, '')}`;
+                const next = param ? `${param}__${segment}` : segment;
+                if (next.length <= 64) param = next;
+                else safeWarn('sharing: start_param segment dropped to fit 64 chars:', segment);
+            });
+            return param;
+        },
+
+        // Attribution is first-touch per player. It lives in Telegram CloudStorage (per user, so it
+        // follows them across devices) with a local copy keyed by user, so a shared browser never
+        // hands one player's referrer to another. The backend de-duplicates launch_attributed on user_id.
+        attributionKey(user) {
+            return `${ATTRIBUTION_KEY}_${user.is_guest ? user.guest_id : user.id}`;
+        },
+
+        // resolves with { attribution, cloudChecked }; cloudChecked is false when the cloud could not be read
+        async readAttribution(user) {
+            const key = this.attributionKey(user);
+            const local = readJson(key, null);
+            if (local) return { attribution: local, cloudChecked: true };
+            if (user.is_guest || !cloudSave.isCloudAvailable()) return { attribution: null, cloudChecked: true };
+            try {
+                const raw = await cloudSave.cloud('getItem', key);
+                const cloud = raw ? JSON.parse(raw) : null;
+                if (cloud) writeJson(key, cloud);
+                return { attribution: cloud, cloudChecked: true };
+            } catch (e) {
+                safeWarn('sharing: could not read attribution from CloudStorage', e);
+                return { attribution: null, cloudChecked: false };
+            }
+        },
+
+        async writeAttribution(user, attribution) {
+            const key = this.attributionKey(user);
+            const stored = writeJson(key, attribution);
+            if (user.is_guest || !cloudSave.isCloudAvailable()) return stored;
+            try {
+                await cloudSave.cloud('setItem', key, JSON.stringify(attribution));
+                return true;
+            } catch (e) {
+                safeWarn('sharing: could not store attribution in CloudStorage', e);
+                return stored;
+            }
+        },
+
+        // parse the launch parameter once; attribution is persisted on the first launch that has one
+        resolveLaunch() {
+            if (!this.launchPromise) {
+                this.launchPromise = this.computeLaunch().then(launch => { this.launch = launch; return launch; });
+            }
+            return this.launchPromise;
+        },
+
+        async computeLaunch() {
+            const payload = this.parseStartParam(this.readStartParam());
+            const user = identity.resolve();
+            if (payload.referrerId && !user.is_guest && String(payload.referrerId) === String(user.id)) {
+                safeLog('sharing: ignoring self-referral');
+                payload.referrerId = null;
+            }
+
+            const stored = await this.readAttribution(user);
+            let attribution = stored.attribution;
+            let firstAttribution = false;
+            if (!stored.cloudChecked) {
+                // the cloud may already hold an earlier attribution: record nothing, so the next
+                // launch reads the cloud again instead of trusting a local first-touch
+                safeLog('sharing: attribution unknown this launch, will retry next launch');
+            } else if (!attribution && (payload.referrerId || payload.campaign)) {
+                attribution = {
+                    referrerId: payload.referrerId,
+                    campaign: payload.campaign,
+                    raw: payload.raw,
+                    userId: user.is_guest ? null : user.id,
+                    guestId: user.guest_id,
+                    attributedAt: Date.now()
+                };
+                firstAttribution = await this.writeAttribution(user, attribution);
+            }
+            if (firstAttribution) {
+                analytics.track('launch_attributed', { referrer_id: payload.referrerId, campaign: payload.campaign });
+            }
+            return Object.assign(payload, { firstAttribution: firstAttribution, attribution: attribution });
+        },
+
+        inviteLink(campaign) {
+            const botUsername = runtimeConfig.get('sharing.botUsername');
+            if (!botUsername) return { ok: false, link: null, startParam: null, error: 'sharing.botUsername not configured' };
+            const user = identity.resolve();
+            const startParam = this.buildStartParam({
+                referrerId: user.is_guest ? null : user.id,
+                campaign: campaign || runtimeConfig.get('sharing.defaultCampaign')
+            });
+            const appName = runtimeConfig.get('sharing.appShortName');
+            const base = appName ? `https://t.me/${botUsername}/${appName}` : `https://t.me/${botUsername}`;
+            const link = startParam ? `${base}?startapp=${encodeURIComponent(startParam)}` : base;
+            return { ok: true, link: link, startParam: startParam, error: null };
+        },
+
+        // "{score}" and "{result}" in the configured template
+        shareText(score, result) {
+            const template = runtimeConfig.get('sharing.scoreText');
+            return template
+                .replace(/\{score\}/g, score === null || score === undefined ? '' : String(score))
+                .replace(/\{result\}/g, result || '')
+                .trim();
+        },
+
+        parseShareOptions(json) {
+            if (!json) return {};
+            if (typeof json === 'object') return json;
+            try {
+                const options = JSON.parse(json);
+                return isPlainObject(options) ? options : { score: options };
+            } catch (e) {
+                return { score: json };
+            }
+        },
+
+        report(method, ok, error, extra) {
+            const result = Object.assign({ method: method, ok: ok, error: error || null }, extra || {});
+            analytics.track('share', { method: method, ok: ok, error: error || null });
+            sendToUnity('ShareManager', 'OnShareResult', JSON.stringify(result));
+            return ok ? 1 : 0;
         }
-    }, 700);
+    };
 
-    // ===== EXISTING TELEGRAM USER FUNCTION =====
+    function sendLaunchParams() {
+        return sharing.resolveLaunch()
+            .then(launch => sendToUnity('DeepLinkManager', 'OnLaunchParams', JSON.stringify(launch), { dedupeKey: 'launch' }))
+            .catch(e => safeWarn('sharing: could not resolve launch params', e));
+    }
+
+    sendLaunchParams();
+
+    window.PlayDeck_GetLaunchParams = function () {
+        sendLaunchParams();
+        return 1;
+    };
+
+    window.PlayDeck_GetInviteLink = function (campaign) {
+        const result = sharing.inviteLink(campaign);
+        safeLog('PlayDeck_GetInviteLink ->', result.link || result.error);
+        sendToUnity('ShareManager', 'OnInviteLink', JSON.stringify(result));
+        return result.ok ? 1 : 0;
+    };
+
+    // json: { score, result, campaign, text } - score/result default to the last PlayDeck_GameEnd
+    window.PlayDeck_ShareScore = function (json) {
+        const options = sharing.parseShareOptions(json);
+        const score = options.score !== undefined ? options.score : sharing.lastScore;
+        const result = options.result !== undefined ? options.result : sharing.lastResult;
+        const invite = sharing.inviteLink(options.campaign || 'score');
+        if (!invite.ok) return sharing.report('share_url', false, invite.error);
+        const text = options.text || sharing.shareText(score, result);
+
+        // inside PlayDeck the host owns sharing
+        if (playdeckHost.available) {
+            const sent = playdeckHost.notify('customShare', { text: text, url: invite.link, score: score });
+            return sharing.report('playdeck', sent, sent ? null : 'post failed', { link: invite.link });
+        }
+
+        const webApp = window.Telegram?.WebApp;
+        const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(invite.link)}&text=${encodeURIComponent(text)}`;
+        if (webApp && typeof webApp.openTelegramLink === 'function') {
+            try {
+                webApp.openTelegramLink(shareUrl);
+                return sharing.report('share_url', true, null, { link: invite.link });
+            } catch (e) {
+                return sharing.report('share_url', false, e.message);
+            }
+        }
+        if (navigator.share) {
+            navigator.share({ text: text, url: invite.link })
+                .then(() => sharing.report('web_share', true, null, { link: invite.link }))
+                .catch(e => sharing.report('web_share', false, e.message));
+            return 1;
+        }
+        return sharing.report('share_url', false, 'unsupported');
+    };
+
+    // opens the chat picker with "@bot <query>" so the bot's inline mode can post a result card
+    window.PlayDeck_ShareInline = function (query) {
+        const text = query || sharing.shareText(sharing.lastScore, sharing.lastResult);
+        const ok = telegramUI.run('inlineQuery', webApp => webApp.switchInlineQuery(text, ['users', 'groups', 'channels']));
+        return sharing.report('inline_query', !!ok, ok ? null : 'unsupported');
+    };
+
+    // json: { mediaUrl, text, score, result, campaign }
+    window.PlayDeck_ShareToStory = function (json) {
+        const options = sharing.parseShareOptions(json);
+        const mediaUrl = options.mediaUrl || runtimeConfig.get('sharing.storyMediaUrl');
+        if (!mediaUrl) return sharing.report('story', false, 'mediaUrl not provided');
+        const invite = sharing.inviteLink(options.campaign || 'story');
+        const score = options.score !== undefined ? options.score : sharing.lastScore;
+        const result = options.result !== undefined ? options.result : sharing.lastResult;
+        const storyOptions = { text: (options.text || sharing.shareText(score, result)).slice(0, STORY_TEXT_MAX) };
+        // Telegram only accepts story widget links from Premium users
+        if (invite.ok && identity.resolve().is_premium) {
+            storyOptions.widget_link = { url: invite.link, name: runtimeConfig.get('sharing.storyLinkName') };
+        }
+        const ok = telegramUI.run('shareToStory', webApp => webApp.shareToStory(mediaUrl, storyOptions));
+        return sharing.report('story', !!ok, ok ? null : 'unsupported');
+    };
+
+    // ===== PLAYDECK HOST PROTOCOL =====
+    // Talks to the PlayDeck parent frame with { playdeck: { method, value, requestId } };
+    // getData/setData carry key (and value) as their own fields instead of a wrapped value.
+    // PlayDeck answers with the same (or a related) method name; requestId is echoed when
+    // the host supports it, otherwise the oldest pending request for that method wins.
+
+    const PLAYDECK_RESPONSE_METHODS = {
+        getUserProfile: ['getUserProfile'],
+        getData: ['getData'],
+        getScore: ['getScore'],
+        getShareLink: ['getShareLink'],
+        getPlaydeckState: ['getPlaydeckState'],
+        showAd: ['rewardedAd', 'skipAd', 'errAd', 'notFoundAd']
+    };
+
+    const playdeckHost = {
+        parentOrigin: null,
+        available: false,
+        originPending: false, // framed, but the browser did not tell us by whom
+        queued: [],           // notifications held until the host identifies itself
+        pending: {},         // requestId -> { method, accepts, resolve, timer }
+        seq: 0,
+        rejectedMessages: 0,
+
+        detect() {
+            const inIframe = (() => { try { return window.self !== window.top; } catch (e) { return true; } })();
+            let origin = null;
+            try {
+                if (window.location.ancestorOrigins && window.location.ancestorOrigins.length) {
+                    origin = window.location.ancestorOrigins[0];
+                } else if (document.referrer) {
+                    origin = new URL(document.referrer).origin;
+                }
+            } catch (e) { }
+            this.parentOrigin = origin;
+            this.available = inIframe && this.isAllowedOrigin(origin);
+            this.originPending = inIframe && !origin;
+            if (this.originPending) {
+                // no ancestorOrigins and a stripped referrer: ask the host to answer, and take the
+                // origin from its reply. The probe carries no data, so '*' is safe here.
+                safeWarn('playdeckHost: parent origin unknown, waiting for the host to identify itself');
+                try { window.parent.postMessage({ playdeck: { method: 'getPlaydeckState' } }, '*'); } catch (e) { }
+            } else if (inIframe && !this.available) {
+                safeWarn('playdeckHost: parent origin not allowed, host calls disabled:', origin);
+            }
+            return this.available;
+        },
+
+        // first trusted message while the origin was unknown: adopt it and send what was held back
+        adoptOrigin(origin) {
+            this.parentOrigin = origin;
+            this.available = true;
+            this.originPending = false;
+            safeLog('playdeckHost: parent origin learned from host message:', origin);
+            const queued = this.queued;
+            this.queued = [];
+            queued.forEach(item => this.post(item.method, item.fields));
+        },
+
+        isAllowedOrigin(origin) {
+            return !!origin && PLAYDECK_ALLOWED_ORIGINS.some(allowed =>
+                allowed instanceof RegExp ? allowed.test(origin) : allowed === origin);
+        },
+
+        // fields are the top-level members of message.playdeck besides method/requestId
+        post(method, fields, requestId) {
+            if (!this.available && this.originPending && !requestId) {
+                // gameEnd and friends must not be lost just because the host has not spoken yet
+                this.queued.push({ method: method, fields: fields });
+                if (this.queued.length > PLAYDECK_MAX_QUEUED_NOTIFICATIONS) this.queued.shift();
+                return true;
+            }
+            if (!this.available) return false;
+            const message = { playdeck: Object.assign({ method: method }, fields) };
+            if (requestId) message.playdeck.requestId = requestId;
+            try {
+                window.parent.postMessage(message, this.parentOrigin);
+                return true;
+            } catch (e) {
+                safeWarn('playdeckHost: postMessage failed for', method, e);
+                return false;
+            }
+        },
+
+        // fire-and-forget
+        notify(method, value) {
+            return this.post(method, value === undefined ? {} : { value: value });
+        },
+
+        request(method, value, fallback) {
+            return this.call(method, value === undefined ? {} : { value: value }, fallback);
+        },
+
+        // resolves with { requestId, method, ok, value, error } - never rejects
+        call(method, fields, fallback) {
+            const requestId = 'pd' + (++this.seq);
+            if (!this.available) {
+                const fallbackValue = typeof fallback === 'function' ? fallback() : undefined;
+                return Promise.resolve(fallbackValue === undefined
+                    ? { requestId: requestId, method: method, ok: false, value: null, error: 'unsupported' }
+                    : { requestId: requestId, method: method, ok: true, value: fallbackValue, error: null, fallback: true });
+            }
+            return new Promise((resolve) => {
+                const timer = setTimeout(() => {
+                    delete this.pending[requestId];
+                    resolve({ requestId: requestId, method: method, ok: false, value: null, error: 'timeout' });
+                }, PLAYDECK_REQUEST_TIMEOUT_MS);
+                this.pending[requestId] = {
+                    method: method,
+                    accepts: PLAYDECK_RESPONSE_METHODS[method] || [method],
+                    createdAt: Date.now(),
+                    resolve: resolve,
+                    timer: timer
+                };
+                if (!this.post(method, fields, requestId)) {
+                    clearTimeout(timer);
+                    delete this.pending[requestId];
+                    resolve({ requestId: requestId, method: method, ok: false, value: null, error: 'post failed' });
+                }
+            });
+        },
+
+        findPending(data) {
+            if (data.requestId && this.pending[data.requestId]) return data.requestId;
+            let match = null;
+            Object.keys(this.pending).forEach(id => {
+                const entry = this.pending[id];
+                if (entry.accepts.indexOf(data.method) === -1) return;
+                if (!match || entry.createdAt < this.pending[match].createdAt) match = id;
+            });
+            return match;
+        },
+
+        onMessage(event) {
+            const data = event && event.data && event.data.playdeck;
+            if (!data || typeof data.method !== 'string') return;
+            if (event.source !== window.parent || !this.isAllowedOrigin(event.origin)) {
+                this.rejectedMessages++;
+                safeWarn('playdeckHost: ignored message from untrusted origin', event.origin);
+                return;
+            }
+            if (this.originPending) {
+                this.adoptOrigin(event.origin);
+                // the answer to our own probe is not news for Unity
+                if (data.method === 'getPlaydeckState' && !data.requestId) return;
+            }
+
+            const requestId = this.findPending(data);
+            if (requestId) {
+                const entry = this.pending[requestId];
+                delete this.pending[requestId];
+                clearTimeout(entry.timer);
+                const ok = ['errAd', 'notFoundAd', 'skipAd'].indexOf(data.method) === -1;
+                entry.resolve({
+                    requestId: requestId,
+                    method: data.method,
+                    ok: ok,
+                    value: data.value === undefined ? null : data.value,
+                    error: ok ? null : data.method
+                });
+                return;
+            }
+
+            // unsolicited host events (pause/play, startAd, ...) go straight to Unity
+            sendToUnity('PlayDeckManager', 'OnHostMessage', JSON.stringify({ method: data.method, value: data.value === undefined ? null : data.value }));
+        },
+
+        state() {
+            return {
+                available: this.available,
+                parentOrigin: this.parentOrigin,
+                originPending: this.originPending,
+                queuedNotifications: this.queued.length,
+                pendingRequests: Object.keys(this.pending).length,
+                rejectedMessages: this.rejectedMessages
+            };
+        }
+    };
+
+    playdeckHost.detect();
+    try {
+        window.addEventListener('message', (event) => playdeckHost.onMessage(event));
+    } catch (e) {
+        safeWarn('playdeckHost: could not attach message listener', e);
+    }
+
+    function replyToUnity(methodName, response) {
+        sendToUnity('PlayDeckManager', methodName, JSON.stringify(response));
+        return response;
+    }
+
+    window.PlayDeck_SetScore = function (score) {
+        safeLog('PlayDeck_SetScore:', score);
+        return playdeckHost.notify('setScore', Number(score) || 0) ? 1 : 0;
+    };
+
+    window.PlayDeck_GetUserProfile = function () {
+        safeLog('PlayDeck_GetUserProfile called');
+        // outside PlayDeck the Telegram/guest identity is the closest equivalent
+        playdeckHost.request('getUserProfile', undefined, () => identity.resolve())
+            .then(response => replyToUnity('OnUserProfile', response));
+    };
+
+    window.PlayDeck_GetData = function (key) {
+        safeLog('PlayDeck_GetData:', key);
+        playdeckHost.call('getData', { key: key }, () => ({ key: key, data: readJson(PLAYDECK_LOCAL_DATA_PREFIX + key, null) }))
+            .then(response => replyToUnity('OnGetData', Object.assign({ key: key }, response)));
+    };
+
+    window.PlayDeck_SetData = function (key, value) {
+        safeLog('PlayDeck_SetData:', key);
+        // while the host origin is still unknown the call is only queued, so keep a local copy too
+        if (playdeckHost.post('setData', { key: key, value: value }) && playdeckHost.available) return 1;
+        return writeJson(PLAYDECK_LOCAL_DATA_PREFIX + key, value) ? 1 : 0;
+    };
+
+    window.PlayDeck_CustomShare = function (shareJson) {
+        safeLog('PlayDeck_CustomShare called');
+        let value = shareJson;
+        try { value = JSON.parse(shareJson); } catch (e) { }
+        return playdeckHost.notify('customShare', value) ? 1 : 0;
+    };
+
+    window.PlayDeck_GetShareLink = function (shareJson) {
+        safeLog('PlayDeck_GetShareLink called');
+        let value = shareJson;
+        try { value = JSON.parse(shareJson); } catch (e) { }
+        playdeckHost.request('getShareLink', value)
+            .then(response => replyToUnity('OnShareLink', response));
+    };
+
+    window.PlayDeck_ShowHostAd = function () {
+        safeLog('PlayDeck_ShowHostAd called');
+        playdeckHost.request('showAd')
+            .then(response => {
+                analytics.track('host_ad_result', { method: response.method, ok: response.ok, error: response.error });
+                replyToUnity('OnHostAdResult', response);
+            });
+    };
+
+    // ===== TELEGRAM USER FUNCTION =====
     window.getTelegramUserFull = function (unityObjectName, callbackMethod) {
-        // [Keep your existing Telegram user function unchanged]
+        const user = identity.resolve();
+        safeLog('getTelegramUserFull: resolved', user.is_guest ? 'guest' : 'telegram', 'user', user.is_guest ? user.guest_id : user.id);
+        const objectName = unityObjectName || 'LoginManager';
+        const methodName = callbackMethod || 'OnTelegramUserFullReceived';
+        // only the latest user payload matters if several are waiting for Unity
+        return sendToUnity(objectName, methodName, JSON.stringify(user), { dedupeKey: `user:${objectName}.${methodName}` });
+    };
+
+    // ===== CONFIG BINDINGS =====
+    // push config changes into the subsystems that copy values at startup, and tell Unity
+
+    let appliedConfig = runtimeConfig.current;
+    function applyConfig(config) {
+        const previous = appliedConfig;
+        appliedConfig = config;
+        starsIntegration.BACKEND_URL = config.payments.backendUrl;
+        if (config.analytics.endpoint !== previous.analytics.endpoint) {
+            analytics.configure({ endpoint: config.analytics.endpoint });
+        }
+        // only on a real change, so a cooldown set by Unity via PlayDeck_SetAdCooldown survives reloads of the same config
+        if (config.ads.cooldownSeconds !== previous.ads.cooldownSeconds) {
+            adsState.cooldownMs = config.ads.cooldownSeconds * 1000;
+        }
+
+        const snapshot = JSON.stringify(runtimeConfig.snapshot());
+        if (snapshot !== runtimeConfig.lastSent) {
+            const firstSend = runtimeConfig.lastSent === null;
+            runtimeConfig.lastSent = snapshot;
+            if (!firstSend) {
+                safeLog('runtimeConfig: config changed, rollouts:', runtimeConfig.activeRollouts);
+                sendToUnity('ConfigManager', 'OnConfigChanged', snapshot, { dedupeKey: 'config' });
+            }
+        }
+    }
+
+    runtimeConfig.onChange = applyConfig;
+    runtimeConfig.lastSent = JSON.stringify(runtimeConfig.snapshot());
+    runtimeConfig.load().catch(e => safeWarn('runtimeConfig: load failed', e));
+
+    window.PlayDeck_GetConfig = function () {
+        safeLog('PlayDeck_GetConfig called');
+        return sendToUnity('ConfigManager', 'OnConfigReceived', JSON.stringify(runtimeConfig.snapshot()), { dedupeKey: 'config-received' });
+    };
+
+    window.PlayDeck_IsFeatureEnabled = function (name) {
+        return runtimeConfig.get('features')[name] === true ? 1 : 0;
     };
 
     // ===== FINAL BRIDGE SETUP =====
+    // window.playDeckBridge is `bridge` itself, so keep a handle on the base init before overriding it
+    const baseInit = bridge.init.bind(bridge);
     window.playDeckBridge = Object.assign(window.playDeckBridge || {}, {
-        init: function (unityInstance) { bridge.init(unityInstance); },
+        init: function (unityInstance) {
+            baseInit(unityInstance);
+            analytics.track('unity_loaded', { since_start_ms: Math.round(performance.now()) });
+            telegramUI.pushInitialState();
+            // Unity can receive results now, so finish any purchase interrupted by a reload
+            starsIntegration.reconcilePendingPurchases()
+                .catch(e => safeWarn('playdeckBridge: pending purchase reconciliation failed', e));
+        },
         stars: starsIntegration,
+        identity: identity,
+        analytics: analytics,
+        host: playdeckHost,
+        cloudSave: cloudSave,
+        ui: telegramUI,
+        config: runtimeConfig,
+        sharing: sharing,
         _internalState: () => ({
+            config: runtimeConfig.snapshot(),
+            launch: sharing.launch,
             adsState: adsState,
             starsAvailable: starsIntegration.isAvailable(),
-            telegramAvailable: !!(window.Telegram && window.Telegram.WebApp)
+            pendingPurchases: Object.keys(starsIntegration.getPending()).length,
+            analytics: analytics.state(),
+            playdeckHost: playdeckHost.state(),
+            telegramFeatures: Object.keys(TELEGRAM_FEATURE_VERSIONS).filter(f => telegramUI.isSupported(f)),
+            cloudSave: { cloudAvailable: cloudSave.isCloudAvailable(), conflicts: Object.keys(cloudSave.conflicts) },
+            telegramAvailable: !!(window.Telegram && window.Telegram.WebApp),
+            unityQueue: {
+                ready: !!getUnityInstance(),
+                depth: unityQueue.items.length,
+                delivered: unityQueue.delivered,
+                dropped: unityQueue.dropped
+            }
         })
     });
 
-    safeLog('playdeckBridge loaded with SIMPLIFIED Telegram Stars (No Backend)');
+    analytics.track('session_start', { referrer: document.referrer || null });
+
+    safeLog('playdeckBridge loaded');
 
 })();
 
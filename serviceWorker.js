@@ -0,0 +1,108 @@
+// serviceWorker.js
+// Offline cache for the WebGL build. Registered from index.html as serviceWorker.js?v=<productVersion>;
+// every product version gets its own cache and older ones are evicted on activate.
+'use strict';
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'bitbullz-';
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+
+// Build files are requested with ?v=<productVersion>, so a cached copy can only ever
+// belong to the version that asked for it. Unity builds StreamingAssets URLs itself
+// (no query), so those are served network-first instead.
+const versioned = (path) => `${path}?v=${encodeURIComponent(VERSION)}`;
+
+// without these the game cannot start, so install fails if any of them is missing.
+// On a first visit the page is not controlled yet and fetches the build itself, so the
+// install has to fetch it too for the game to be playable offline afterwards.
+const PRECACHE_REQUIRED = [
+    'Build/WebglBuild.loader.js',
+    'Build/WebglBuild.framework.js',
+    'Build/WebglBuild.data',
+    'Build/WebglBuild.wasm'
+].map(versioned);
+
+// nice to have offline; a missing one must not block the install
+const PRECACHE_OPTIONAL = [
+    './',
+    'index.html',
+    'playdeckBridge.js',
+    'devHarness.js',
+    'StreamingAssets/UnityServicesProjectConfiguration.json',
+    'StreamingAssets/playdeckConfig.json',
+    'TemplateData/style.css',
+    'TemplateData/PreLoadingScreen_1.jpg',
+    'TemplateData/progress-bar-empty-dark.png',
+    'TemplateData/progress-bar-full-dark.png',
+    'TemplateData/favicon.ico'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(async (cache) => {
+        await cache.addAll(PRECACHE_REQUIRED);
+        await Promise.all(PRECACHE_OPTIONAL.map(url => cache.add(url).catch(e => {
+            console.warn('serviceWorker: optional precache failed for', url, e);
+        })));
+    }));
+    // a first install has nothing to replace, so take over immediately
+    if (!self.registration.active) self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.indexOf(CACHE_PREFIX) === 0 && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// the page asks for this when the player accepts the "new version available" prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// only this worker's own version; while an update is waiting, the old worker still controls
+// the page and must not cache the new build's files into the old cache, so any other
+// version falls through to the network untouched
+function isVersionedAsset(url) {
+    return url.pathname.indexOf('/Build/') !== -1 && url.searchParams.get('v') === VERSION;
+}
+
+// immutable per version: cache first, fill the cache on a miss
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+// the page shell must pick up new versions, so go to the network first
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // third-party SDKs (Telegram, AdsGram) and backends are never cached
+    if (url.origin !== self.location.origin) return;
+
+    if (isVersionedAsset(url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (request.mode === 'navigate' || /\/(index\.html|playdeckBridge\.js|devHarness\.js)$/.test(url.pathname) ||
+        /\/(TemplateData|StreamingAssets)\//.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    }
+});